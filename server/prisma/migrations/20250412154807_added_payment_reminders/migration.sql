@@ -0,0 +1,20 @@
+-- AlterTable
+ALTER TABLE "ExpenseShare" ADD COLUMN     "paid" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "paidAt" TIMESTAMP(3),
+ADD COLUMN     "paymentIntentId" TEXT;
+
+-- CreateTable
+CREATE TABLE "PaymentReminder" (
+    "id" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expenseShareId" TEXT NOT NULL,
+
+    CONSTRAINT "PaymentReminder_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ExpenseShare_paymentIntentId_key" ON "ExpenseShare"("paymentIntentId");
+
+-- AddForeignKey
+ALTER TABLE "PaymentReminder" ADD CONSTRAINT "PaymentReminder_expenseShareId_fkey" FOREIGN KEY ("expenseShareId") REFERENCES "ExpenseShare"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Expense" ADD COLUMN     "participants" TEXT[] DEFAULT ARRAY[]::TEXT[];
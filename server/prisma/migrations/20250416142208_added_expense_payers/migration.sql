@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE "ExpensePayer" (
+    "id" TEXT NOT NULL,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expenseId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+
+    CONSTRAINT "ExpensePayer_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ExpensePayer_userId_expenseId_key" ON "ExpensePayer"("userId", "expenseId");
+
+-- AddForeignKey
+ALTER TABLE "ExpensePayer" ADD CONSTRAINT "ExpensePayer_expenseId_fkey" FOREIGN KEY ("expenseId") REFERENCES "Expense"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ExpensePayer" ADD CONSTRAINT "ExpensePayer_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- Backfill existing expenses with their single payer
+INSERT INTO "ExpensePayer" ("id", "amount", "expenseId", "userId")
+SELECT gen_random_uuid()::TEXT, "amount", "id", "paidById" FROM "Expense";
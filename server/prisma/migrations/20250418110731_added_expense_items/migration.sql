@@ -0,0 +1,19 @@
+-- AlterTable
+ALTER TABLE "Expense" ADD COLUMN     "tax" DOUBLE PRECISION,
+ADD COLUMN     "tip" DOUBLE PRECISION;
+
+-- CreateTable
+CREATE TABLE "ExpenseItem" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "price" DOUBLE PRECISION NOT NULL,
+    "quantity" INTEGER NOT NULL DEFAULT 1,
+    "assignedTo" TEXT[],
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expenseId" TEXT NOT NULL,
+
+    CONSTRAINT "ExpenseItem_pkey" PRIMARY KEY ("id")
+);
+
+-- AddForeignKey
+ALTER TABLE "ExpenseItem" ADD CONSTRAINT "ExpenseItem_expenseId_fkey" FOREIGN KEY ("expenseId") REFERENCES "Expense"("id") ON DELETE CASCADE ON UPDATE CASCADE;
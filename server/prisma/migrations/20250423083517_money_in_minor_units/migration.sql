@@ -0,0 +1,55 @@
+-- Money is stored as integer minor units (e.g. cents) instead of floats.
+-- Existing amounts are converted using the number of decimal places of
+-- their currency.
+CREATE FUNCTION pg_temp.minor_unit_factor(currency TEXT) RETURNS INTEGER AS $$
+  SELECT CASE
+    WHEN currency IN ('BIF', 'CLP', 'DJF', 'GNF', 'ISK', 'JPY', 'KMF', 'KRW', 'PYG', 'RWF', 'UGX', 'VND', 'VUV', 'XAF', 'XOF', 'XPF') THEN 1
+    WHEN currency IN ('BHD', 'IQD', 'JOD', 'KWD', 'LYD', 'OMR', 'TND') THEN 1000
+    ELSE 100
+  END
+$$ LANGUAGE SQL IMMUTABLE;
+
+-- Convert exact split amounts kept in the original split inputs
+UPDATE "Expense"
+SET "splitDetails" = (
+  SELECT jsonb_agg(
+    jsonb_set(detail, '{amount}', to_jsonb(ROUND((detail->>'amount')::numeric * pg_temp.minor_unit_factor("currency"))::integer))
+  )
+  FROM jsonb_array_elements("splitDetails") AS detail
+)
+WHERE "splitType" IN ('custom', 'exact')
+  AND jsonb_typeof("splitDetails") = 'array'
+  AND jsonb_array_length("splitDetails") > 0;
+
+-- AlterTable
+ALTER TABLE "Expense" ALTER COLUMN "amount" SET DATA TYPE INTEGER USING ROUND("amount" * pg_temp.minor_unit_factor("currency"))::integer,
+ALTER COLUMN "tax" SET DATA TYPE INTEGER USING ROUND("tax" * pg_temp.minor_unit_factor("currency"))::integer,
+ALTER COLUMN "tip" SET DATA TYPE INTEGER USING ROUND("tip" * pg_temp.minor_unit_factor("currency"))::integer;
+
+-- AlterTable
+ALTER TABLE "RecurringBill" ALTER COLUMN "amount" SET DATA TYPE INTEGER USING ROUND("amount" * pg_temp.minor_unit_factor("currency"))::integer;
+
+-- Shares, payers and items use the currency of their expense
+UPDATE "ExpenseShare" AS share
+SET "amount" = ROUND(share."amount" * pg_temp.minor_unit_factor(expense."currency"))
+FROM "Expense" AS expense
+WHERE share."expenseId" = expense."id";
+
+UPDATE "ExpensePayer" AS payer
+SET "amount" = ROUND(payer."amount" * pg_temp.minor_unit_factor(expense."currency"))
+FROM "Expense" AS expense
+WHERE payer."expenseId" = expense."id";
+
+UPDATE "ExpenseItem" AS item
+SET "price" = ROUND(item."price" * pg_temp.minor_unit_factor(expense."currency"))
+FROM "Expense" AS expense
+WHERE item."expenseId" = expense."id";
+
+-- AlterTable
+ALTER TABLE "ExpenseShare" ALTER COLUMN "amount" SET DATA TYPE INTEGER USING ROUND("amount")::integer;
+
+-- AlterTable
+ALTER TABLE "ExpensePayer" ALTER COLUMN "amount" SET DATA TYPE INTEGER USING ROUND("amount")::integer;
+
+-- AlterTable
+ALTER TABLE "ExpenseItem" ALTER COLUMN "price" SET DATA TYPE INTEGER USING ROUND("price")::integer;
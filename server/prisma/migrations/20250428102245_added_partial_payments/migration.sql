@@ -0,0 +1,33 @@
+-- AlterTable
+ALTER TABLE "ExpenseShare" ADD COLUMN     "paidAmount" INTEGER NOT NULL DEFAULT 0;
+
+-- Shares paid before partial payments were supported were paid in full
+UPDATE "ExpenseShare" SET "paidAmount" = "amount" WHERE "paid" = true;
+
+-- CreateTable
+CREATE TABLE "SharePayment" (
+    "id" TEXT NOT NULL,
+    "amount" INTEGER NOT NULL,
+    "method" TEXT NOT NULL,
+    "paymentIntentId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expenseShareId" TEXT NOT NULL,
+    "settlementId" TEXT,
+
+    CONSTRAINT "SharePayment_pkey" PRIMARY KEY ("id")
+);
+
+-- Record the existing payments; shares paid without a card were settled
+INSERT INTO "SharePayment" ("id", "amount", "method", "paymentIntentId", "createdAt", "expenseShareId")
+SELECT gen_random_uuid()::text, "amount", CASE WHEN "paymentIntentId" IS NULL THEN 'settlement' ELSE 'stripe' END, "paymentIntentId", COALESCE("paidAt", "createdAt"), "id"
+FROM "ExpenseShare"
+WHERE "paid" = true;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SharePayment_paymentIntentId_key" ON "SharePayment"("paymentIntentId");
+
+-- AddForeignKey
+ALTER TABLE "SharePayment" ADD CONSTRAINT "SharePayment_expenseShareId_fkey" FOREIGN KEY ("expenseShareId") REFERENCES "ExpenseShare"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SharePayment" ADD CONSTRAINT "SharePayment_settlementId_fkey" FOREIGN KEY ("settlementId") REFERENCES "Settlement"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,46 @@
+-- AlterTable
+ALTER TABLE "SharePayment" ADD COLUMN     "bundleId" TEXT;
+
+-- CreateTable
+CREATE TABLE "PaymentBundle" (
+    "id" TEXT NOT NULL,
+    "amount" INTEGER NOT NULL,
+    "currency" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "paymentIntentId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "payerId" TEXT NOT NULL,
+    "payeeId" TEXT NOT NULL,
+    "groupId" TEXT,
+
+    CONSTRAINT "PaymentBundle_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "PaymentBundleItem" (
+    "id" TEXT NOT NULL,
+    "amount" INTEGER NOT NULL,
+    "bundleId" TEXT NOT NULL,
+    "expenseShareId" TEXT NOT NULL,
+
+    CONSTRAINT "PaymentBundleItem_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PaymentBundle_paymentIntentId_key" ON "PaymentBundle"("paymentIntentId");
+
+-- AddForeignKey
+ALTER TABLE "SharePayment" ADD CONSTRAINT "SharePayment_bundleId_fkey" FOREIGN KEY ("bundleId") REFERENCES "PaymentBundle"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PaymentBundle" ADD CONSTRAINT "PaymentBundle_payerId_fkey" FOREIGN KEY ("payerId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PaymentBundle" ADD CONSTRAINT "PaymentBundle_payeeId_fkey" FOREIGN KEY ("payeeId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PaymentBundleItem" ADD CONSTRAINT "PaymentBundleItem_bundleId_fkey" FOREIGN KEY ("bundleId") REFERENCES "PaymentBundle"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PaymentBundleItem" ADD CONSTRAINT "PaymentBundleItem_expenseShareId_fkey" FOREIGN KEY ("expenseShareId") REFERENCES "ExpenseShare"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "SharePayment" ADD COLUMN     "refundedAmount" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "status" TEXT NOT NULL DEFAULT 'succeeded';
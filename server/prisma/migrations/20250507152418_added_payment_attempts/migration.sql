@@ -0,0 +1,34 @@
+-- CreateTable
+CREATE TABLE "PaymentAttempt" (
+    "id" TEXT NOT NULL,
+    "paymentIntentId" TEXT NOT NULL,
+    "amount" INTEGER NOT NULL,
+    "currency" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "failureCode" TEXT,
+    "failureMessage" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "succeededAt" TIMESTAMP(3),
+    "failedAt" TIMESTAMP(3),
+    "payerId" TEXT NOT NULL,
+    "expenseShareId" TEXT,
+    "bundleId" TEXT,
+
+    CONSTRAINT "PaymentAttempt_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PaymentAttempt_paymentIntentId_key" ON "PaymentAttempt"("paymentIntentId");
+
+-- CreateIndex
+CREATE INDEX "PaymentAttempt_expenseShareId_idx" ON "PaymentAttempt"("expenseShareId");
+
+-- AddForeignKey
+ALTER TABLE "PaymentAttempt" ADD CONSTRAINT "PaymentAttempt_payerId_fkey" FOREIGN KEY ("payerId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PaymentAttempt" ADD CONSTRAINT "PaymentAttempt_expenseShareId_fkey" FOREIGN KEY ("expenseShareId") REFERENCES "ExpenseShare"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PaymentAttempt" ADD CONSTRAINT "PaymentAttempt_bundleId_fkey" FOREIGN KEY ("bundleId") REFERENCES "PaymentBundle"("id") ON DELETE CASCADE ON UPDATE CASCADE;
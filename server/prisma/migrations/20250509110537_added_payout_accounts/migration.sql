@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "payoutAccountId" TEXT,
+ADD COLUMN     "payoutDetailsSubmitted" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "payoutsEnabled" BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE "PaymentAttempt" ADD COLUMN     "destinationAccountId" TEXT,
+ADD COLUMN     "applicationFeeAmount" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "User_payoutAccountId_key" ON "User"("payoutAccountId");
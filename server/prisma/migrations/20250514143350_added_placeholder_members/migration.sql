@@ -0,0 +1,13 @@
+-- AlterTable
+ALTER TABLE "User" ALTER COLUMN "email" DROP NOT NULL,
+ADD COLUMN     "isPlaceholder" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "placeholderEmail" TEXT;
+
+-- AlterTable
+ALTER TABLE "GroupInvite" ADD COLUMN     "placeholderId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "User_placeholderEmail_idx" ON "User"("placeholderEmail");
+
+-- AddForeignKey
+ALTER TABLE "GroupInvite" ADD CONSTRAINT "GroupInvite_placeholderId_fkey" FOREIGN KEY ("placeholderId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
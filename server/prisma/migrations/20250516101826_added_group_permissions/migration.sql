@@ -0,0 +1,13 @@
+-- AlterTable
+ALTER TABLE "Group" ADD COLUMN     "permissions" JSONB;
+
+-- The earliest admin of each group becomes its owner
+UPDATE "GroupMember" AS gm
+SET "role" = 'owner'
+FROM (
+    SELECT DISTINCT ON ("groupId") "id"
+    FROM "GroupMember"
+    WHERE "role" = 'admin'
+    ORDER BY "groupId", "joinedAt"
+) AS first_admin
+WHERE gm."id" = first_admin."id";
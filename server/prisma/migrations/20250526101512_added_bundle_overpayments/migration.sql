@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "PaymentBundle" ADD COLUMN     "overpaidAmount" INTEGER NOT NULL DEFAULT 0;
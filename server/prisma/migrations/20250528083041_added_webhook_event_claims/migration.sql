@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "WebhookEvent" ADD COLUMN     "claimedAt" TIMESTAMP(3),
+ALTER COLUMN "status" SET DEFAULT 'received';
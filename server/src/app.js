@@ -9,6 +9,8 @@ import expenseRoutes from "./routes/expense.routes.js";
 import dashboardRoutes from "./routes/dashboard.routes.js";
 import billReminderRoutes from "./routes/bill-reminder.routes.js";
 import paymentRoutes from "./routes/payment.routes.js";
+import exchangeRateRoutes from "./routes/exchange-rate.routes.js";
+import settlementRoutes from "./routes/settlement.routes.js";
 
 import { setupSocketIO, socketMiddleware } from "./utils/socket.utils.js";
 
@@ -18,20 +20,23 @@ const app = express();
 const server = http.createServer(app);
 const io = setupSocketIO(server);
 
+// Special handling for Stripe webhooks, which need the raw body to verify
+// the signature, so this has to run before express.json()
+app.use("/api/payments/webhook", express.raw({ type: "application/json" }));
+
 // For regular routes
 app.use(cors());
 app.use(express.json());
 app.use(socketMiddleware(io));
 
-// Special handling for Stripe webhooks
-app.use("/api/payments/webhook", express.raw({ type: "application/json" }));
-
 app.use("/api/auth", authRoutes);
 app.use("/api/groups", groupRoutes);
 app.use("/api/expenses", expenseRoutes);
 app.use("/api/dashboard", dashboardRoutes);
 app.use("/api/bills", billReminderRoutes);
 app.use("/api/payments", paymentRoutes);
+app.use("/api/exchange-rates", exchangeRateRoutes);
+app.use("/api/settlements", settlementRoutes);
 
 app.get("/", (req, res) => {
 	res.send("Welcome to my Express app!");
@@ -0,0 +1,56 @@
+// src/controllers/activity.controller.js
+import prisma from "../db.js";
+import {
+	formatActivity,
+	getGroupActivity,
+} from "../services/activity.service.js";
+
+// Get a group's activity timeline, newest first. Pass the returned
+// nextCursor as ?cursor= to load older activity.
+export const getActivity = async (req, res) => {
+	try {
+		const { groupId } = req.params;
+		const { cursor } = req.query;
+		const requestedLimit =
+			req.query.limit === undefined ? 30 : parseInt(req.query.limit);
+
+		if (!(requestedLimit >= 1)) {
+			return res
+				.status(400)
+				.json({ error: "Limit must be a positive integer" });
+		}
+
+		const limit = Math.min(requestedLimit, 100);
+		const types = req.query.types
+			? req.query.types.split(",").filter(Boolean)
+			: undefined;
+
+		// A cursor from another group would page through the wrong timeline
+		if (cursor) {
+			const cursorActivity = await prisma.activity.findUnique({
+				where: { id: cursor },
+				select: { groupId: true },
+			});
+
+			if (!cursorActivity || cursorActivity.groupId !== groupId) {
+				return res.status(400).json({ error: "Invalid cursor" });
+			}
+		}
+
+		const { activities, nextCursor } = await getGroupActivity(groupId, {
+			cursor,
+			limit,
+			types,
+		});
+
+		res.json({
+			activities: activities.map(formatActivity),
+			nextCursor,
+		});
+	} catch (error) {
+		console.error("Get group activity error:", error);
+		res
+			.status(500)
+			.json({ error: "An error occurred while fetching group activity" });
+	}
+};
@@ -7,10 +7,16 @@ import {
 } from "../utils/token.utils.js";
 import axios from "axios";
 import prisma from "../db.js";
+import { formatPayoutStatus } from "../services/payout.service.js";
+import { claimPlaceholdersByEmail } from "../services/placeholder.service.js";
+import { acceptInvite } from "../services/invite.service.js";
 
+// Sign up with an email and password. Pass { "inviteToken" } from an
+// invite email to join that group and take over the placeholders meant for
+// the invited address; the email itself isn't verified, so it claims nothing.
 export const signup = async (req, res) => {
 	try {
-		const { email, password, firstName, lastName } = req.body;
+		const { email, password, firstName, lastName, inviteToken } = req.body;
 
 		// Check if user already exists
 		const existingUser = await prisma.user.findUnique({ where: { email } });
@@ -18,19 +24,49 @@ export const signup = async (req, res) => {
 			return res.status(409).json({ error: "Email already in use" });
 		}
 
+		let invite = null;
+
+		if (inviteToken) {
+			invite = await prisma.groupInvite.findUnique({
+				where: { token: inviteToken },
+				include: { group: true },
+			});
+
+			if (!invite || new Date() > invite.expiresAt || invite.group.archivedAt) {
+				return res
+					.status(410)
+					.json({ error: "This invitation is no longer valid" });
+			}
+
+			if (email.toLowerCase() !== invite.email.toLowerCase()) {
+				return res.status(403).json({
+					error: "This invitation was sent to a different email address",
+				});
+			}
+		}
+
 		// Hash password
 		const salt = await bcrypt.genSalt(10);
 		const hashedPassword = await bcrypt.hash(password, salt);
 
-		// Create user
-		const user = await prisma.user.create({
-			data: {
-				email,
-				password: hashedPassword,
-				firstName,
-				lastName,
-			},
+		// Create user, joining the invited group in the same transaction
+		const user = await prisma.$transaction(async (tx) => {
+			const createdUser = await tx.user.create({
+				data: {
+					email,
+					password: hashedPassword,
+					firstName,
+					lastName,
+				},
+			});
+
+			if (invite) {
+				await acceptInvite(tx, invite, createdUser);
+			}
+
+			return createdUser;
 		});
+		const claimedGroupIds = invite ? [invite.groupId] : [];
 
 		// Generate tokens
 		const { accessToken, refreshToken } = await generateTokens(user.id);
@@ -43,6 +79,7 @@ export const signup = async (req, res) => {
 				firstName: user.firstName,
 				lastName: user.lastName,
 			},
+			claimedGroupIds,
 			tokens: {
 				accessToken,
 				refreshToken,
@@ -158,22 +195,33 @@ export const googleAuth = async (req, res) => {
 			}
 		);
 
-		const { sub, email, given_name, family_name, picture } = response.data;
+		const { sub, email, email_verified, given_name, family_name, picture } =
+			response.data;
 
 		// Find or create user
 		let user = await prisma.user.findUnique({ where: { email } });
 
 		if (!user) {
-			// Create new user with Google credentials
-			user = await prisma.user.create({
-				data: {
-					email,
-					firstName: given_name,
-					lastName: family_name,
-					profileImage: picture,
-					provider: "google",
-					providerId: sub,
-				},
+			// Create new user with Google credentials, taking over any
+			// placeholder members created for the email once Google has
+			// verified it
+			user = await prisma.$transaction(async (tx) => {
+				const createdUser = await tx.user.create({
+					data: {
+						email,
+						firstName: given_name,
+						lastName: family_name,
+						profileImage: picture,
+						provider: "google",
+						providerId: sub,
+					},
+				});
+
+				if (email_verified) {
+					await claimPlaceholdersByEmail(tx, createdUser);
+				}
+
+				return createdUser;
 			});
 		} else if (user.provider !== "google") {
 			// Update existing email user to link Google account
@@ -216,7 +264,18 @@ export const googleAuth = async (req, res) => {
 export const getMe = async (req, res) => {
 	try {
 		// User is already available from the auth middleware
-		res.json({ user: req.user });
+		const payoutUser = await prisma.user.findUnique({
+			where: { id: req.user.id },
+			select: {
+				payoutAccountId: true,
+				payoutDetailsSubmitted: true,
+				payoutsEnabled: true,
+			},
+		});
+
+		res.json({
+			user: { ...req.user, payouts: formatPayoutStatus(payoutUser) },
+		});
 	} catch (error) {
 		console.error("Get me error:", error);
 		res
@@ -6,7 +6,24 @@ import {
 	deleteRecurringBill,
 	getGroupRecurringBills,
 	sendBillReminders,
+	formatBill,
 } from "../services/bill-reminder.service.js";
+import { recordActivity } from "../services/activity.service.js";
+import prisma from "../db.js";
+
+/**
+ * Summarize a recurring bill for the group activity log
+ * @param {Object} bill - Bill with its amount in minor units
+ * @returns {Object} - Activity data
+ */
+const toBillActivity = (bill) => ({
+	billId: bill.id,
+	name: bill.name,
+	amount: bill.amount,
+	currency: bill.currency,
+	frequency: bill.frequency,
+	nextDueDate: bill.nextDueDate,
+});
 
 // Analyze group expenses to find recurring patterns
 export const analyzeExpenses = async (req, res) => {
@@ -18,8 +35,8 @@ export const analyzeExpenses = async (req, res) => {
 
 		res.json({
 			message: "Expense analysis completed",
-			detected: results.detected,
-			saved: results.saved,
+			detected: results.detected.map(formatBill),
+			saved: results.saved.map(formatBill),
 		});
 	} catch (error) {
 		console.error("Analyze expenses error:", error);
@@ -35,11 +52,19 @@ export const createBill = async (req, res) => {
 		const billData = req.body;
 		const userId = req.user.id;
 
-		const bill = await createRecurringBill(billData, userId);
+		const createdBill = await createRecurringBill(billData, userId);
+		const bill = formatBill(createdBill);
 
 		// Emit real-time update
 		req.io.to(`group:${billData.groupId}`).emit("new-bill", bill);
 
+		await recordActivity({
+			groupId: billData.groupId,
+			actorId: userId,
+			type: "new-bill",
+			data: toBillActivity(createdBill),
+		});
+
 		res.status(201).json({
 			message: "Recurring bill created successfully",
 			bill,
@@ -61,11 +86,19 @@ export const updateBill = async (req, res) => {
 		const billData = req.body;
 		const userId = req.user.id;
 
-		const bill = await updateRecurringBill(billId, billData, userId);
+		const updatedBill = await updateRecurringBill(billId, billData);
+		const bill = formatBill(updatedBill);
 
 		// Emit real-time update
 		req.io.to(`group:${bill.groupId}`).emit("update-bill", bill);
 
+		await recordActivity({
+			groupId: bill.groupId,
+			actorId: userId,
+			type: "update-bill",
+			data: toBillActivity(updatedBill),
+		});
+
 		res.json({
 			message: "Recurring bill updated successfully",
 			bill,
@@ -90,11 +123,18 @@ export const deleteBill = async (req, res) => {
 		const bill = await getRecurringBill(billId);
 		const groupId = bill.groupId;
 
-		await deleteRecurringBill(billId, userId);
+		await deleteRecurringBill(billId);
 
 		// Emit real-time update
 		req.io.to(`group:${groupId}`).emit("delete-bill", { id: billId });
 
+		await recordActivity({
+			groupId,
+			actorId: userId,
+			type: "delete-bill",
+			data: toBillActivity(bill),
+		});
+
 		res.json({ message: "Recurring bill deleted successfully" });
 	} catch (error) {
 		console.error("Delete bill error:", error);
@@ -132,7 +172,7 @@ export const getGroupBills = async (req, res) => {
 
 		const bills = await getGroupRecurringBills(groupId, userId);
 
-		res.json({ bills });
+		res.json({ bills: bills.map(formatBill) });
 	} catch (error) {
 		console.error("Get group bills error:", error);
 		res
@@ -170,14 +210,17 @@ export const sendReminders = async (req, res) => {
 		// Emit real-time notifications for reminders
 		reminders.forEach((reminder) => {
 			req.io.to(`group:${groupId}`).emit("bill-reminder", {
-				bill: reminder.bill,
+				bill: formatBill(reminder.bill),
 				sentAt: reminder.sentAt,
 			});
 		});
 
 		res.json({
 			message: `${reminders.length} reminders sent successfully`,
-			reminders,
+			reminders: reminders.map((reminder) => ({
+				...reminder,
+				bill: formatBill(reminder.bill),
+			})),
 		});
 	} catch (error) {
 		console.error("Send reminders error:", error);
@@ -1,6 +1,20 @@
 // src/controllers/dashboard.controller.js
 import prisma from "../db.js";
 import { generateSpendingInsights } from "../utils/insights.utils.js";
+import {
+	formatBalance,
+	getUserContribution,
+	simplifyDebts,
+} from "../utils/balance.utils.js";
+import {
+	DEFAULT_CURRENCY,
+	normalizeCurrency,
+	toBaseCurrency,
+} from "../utils/currency.utils.js";
+import { convertMinorUnits, fromMinorUnits } from "../utils/money.utils.js";
+import { getExchangeRates } from "../services/exchange-rate.service.js";
+import { getGroupBalanceSheet } from "../services/balance.service.js";
+import { currencySchema } from "../validation/exchange-rate.validation.js";
 
 /**
  * Get a user's dashboard summary across all groups
@@ -9,6 +23,15 @@ export const getUserDashboard = async (req, res) => {
 	try {
 		const userId = req.user.id;
 
+		if (
+			req.query.currency &&
+			currencySchema.validate(req.query.currency).error
+		) {
+			return res
+				.status(400)
+				.json({ error: "Currency must be a 3-letter ISO 4217 code" });
+		}
+
 		// Get groups the user is a member of
 		const userGroups = await prisma.groupMember.findMany({
 			where: { userId },
@@ -17,6 +40,7 @@ export const getUserDashboard = async (req, res) => {
 					select: {
 						id: true,
 						name: true,
+						currency: true,
 					},
 				},
 			},
@@ -24,26 +48,40 @@ export const getUserDashboard = async (req, res) => {
 
 		const groupIds = userGroups.map((membership) => membership.groupId);
 
+		// Totals are shown in the requested currency, or the groups' shared
+		// base currency when the user's groups all use the same one
+		const groupCurrencies = [
+			...new Set(userGroups.map((membership) => membership.group.currency)),
+		];
+		const currency = req.query.currency
+			? normalizeCurrency(req.query.currency)
+			: groupCurrencies.length === 1
+			? groupCurrencies[0]
+			: DEFAULT_CURRENCY;
+
 		// Get total outstanding balances across all groups
-		const balanceSummary = await getBalanceSummary(userId, groupIds);
+		const balanceSummary = await getBalanceSummary(userId, groupIds, currency);
 
 		// Get recent activity
 		const recentActivity = await getRecentActivity(userId, groupIds);
 
 		// Get spending insights
-		const insights = await generateSpendingInsights(userId);
+		const insights = await generateSpendingInsights(userId, currency);
 
 		res.json({
 			summary: {
+				currency,
 				totalOwed: balanceSummary.totalOwed,
 				totalOwes: balanceSummary.totalOwes,
 				netBalance: balanceSummary.netBalance,
+				unconvertedCurrencies: balanceSummary.unconvertedCurrencies,
 			},
 			recentActivity,
 			insights,
 			groups: userGroups.map((membership) => ({
 				id: membership.group.id,
 				name: membership.group.name,
+				currency: membership.group.currency,
 			})),
 		});
 	} catch (error) {
@@ -55,40 +93,63 @@ export const getUserDashboard = async (req, res) => {
 };
 
 /**
- * Calculate total balances across specified groups
+ * Calculate total balances across specified groups, in one currency, from
+ * each group's balance sheet so settlements and card payments count too.
+ * Groups whose currency has no exchange rate into it are left out.
  */
-const getBalanceSummary = async (userId, groupIds) => {
-	// Get all expenses for the user's groups
-	const expenses = await prisma.expense.findMany({
-		where: {
-			groupId: { in: groupIds },
-		},
-		include: {
-			shares: true,
-		},
-	});
+const getBalanceSummary = async (userId, groupIds, currency) => {
+	const balanceSheets = await Promise.all(
+		groupIds.map((groupId) => getGroupBalanceSheet(groupId))
+	);
+
+	// Rates from each group base currency into the summary currency
+	const rates = await getExchangeRates(
+		balanceSheets.map((sheet) => sheet.currency),
+		currency
+	);
+	const unconvertedCurrencies = [
+		...new Set(
+			balanceSheets
+				.map((sheet) => sheet.currency)
+				.filter((groupCurrency) => !rates[groupCurrency])
+		),
+	];
 
-	let totalPaid = 0;
 	let totalOwed = 0;
+	let totalOwes = 0;
 
-	// Process each expense
-	expenses.forEach((expense) => {
-		// If user paid for this expense
-		if (expense.paidById === userId) {
-			totalPaid += expense.amount;
+	balanceSheets.forEach((sheet) => {
+		if (!rates[sheet.currency]) {
+			return;
 		}
 
-		// Find user's share in this expense
-		const userShare = expense.shares.find((share) => share.userId === userId);
-		if (userShare) {
-			totalOwed += userShare.amount;
+		const userBalance = sheet.balances.find(
+			(balance) => balance.user.id === userId
+		);
+		if (!userBalance) {
+			return;
+		}
+
+		const balance = convertMinorUnits(
+			userBalance.balance,
+			rates[sheet.currency],
+			sheet.currency,
+			currency
+		);
+
+		// Positive balances are owed to the user, negative ones are owed by them
+		if (balance > 0) {
+			totalOwed += balance;
+		} else {
+			totalOwes -= balance;
 		}
 	});
 
 	return {
-		totalPaid: parseFloat(totalPaid.toFixed(2)),
-		totalOwed: parseFloat(totalOwed.toFixed(2)),
-		netBalance: parseFloat((totalPaid - totalOwed).toFixed(2)),
+		totalOwed: fromMinorUnits(totalOwed, currency),
+		totalOwes: fromMinorUnits(totalOwes, currency),
+		netBalance: fromMinorUnits(totalOwed - totalOwes, currency),
+		unconvertedCurrencies,
 	};
 };
 
@@ -119,6 +180,7 @@ const getRecentActivity = async (userId, groupIds) => {
 					userId,
 				},
 			},
+			payers: true,
 		},
 		orderBy: {
 			createdAt: "desc",
@@ -128,7 +190,8 @@ const getRecentActivity = async (userId, groupIds) => {
 
 	return recentExpenses.map((expense) => {
 		const userShare = expense.shares[0]?.amount || 0;
-		const isPayer = expense.paidById === userId;
+		const userPaid = getUserContribution(expense, userId);
+		const isPayer = userPaid > 0;
 
 		return {
 			id: expense.id,
@@ -136,11 +199,13 @@ const getRecentActivity = async (userId, groupIds) => {
 			category: expense.category,
 			date: expense.createdAt,
 			groupName: expense.group.name,
-			amount: expense.amount,
-			userShare,
+			amount: fromMinorUnits(expense.amount, expense.currency),
+			currency: expense.currency,
+			userShare: fromMinorUnits(userShare, expense.currency),
 			paidBy: expense.paidBy,
 			isPayer,
-			impact: isPayer ? userShare - expense.amount : -userShare,
+			userPaid: fromMinorUnits(userPaid, expense.currency),
+			impact: fromMinorUnits(userPaid - userShare, expense.currency),
 		};
 	});
 };
@@ -180,13 +245,17 @@ export const getGroupDashboard = async (req, res) => {
 		});
 
 		// Get expense statistics
-		const expenseStats = await getGroupExpenseStats(groupId);
+		const expenseStats = await getGroupExpenseStats(groupId, group.currency);
 
 		// Get member balances
 		const memberBalances = await calculateMemberBalances(groupId);
 
 		// Get settlement suggestions
-		const settlements = generateSettlementSuggestions(memberBalances);
+		const settlements = simplifyDebts(memberBalances).map((transfer) => ({
+			from: transfer.from,
+			to: transfer.to,
+			amount: fromMinorUnits(transfer.amount, group.currency),
+		}));
 
 		res.json({
 			group: {
@@ -194,9 +263,12 @@ export const getGroupDashboard = async (req, res) => {
 				name: group.name,
 				description: group.description,
 				memberCount: group._count.members,
+				currency: group.currency,
 			},
 			stats: expenseStats,
-			balances: memberBalances,
+			balances: memberBalances.map((balance) =>
+				formatBalance(balance, group.currency)
+			),
 			settlements,
 		});
 	} catch (error) {
@@ -210,14 +282,7 @@ export const getGroupDashboard = async (req, res) => {
 /**
  * Calculate expense statistics for a group
  */
-const getGroupExpenseStats = async (groupId) => {
-	// Get total expense amount
-	const totalResult = await prisma.expense.aggregate({
-		where: { groupId },
-		_sum: { amount: true },
-		_count: true,
-	});
-
+const getGroupExpenseStats = async (groupId, currency) => {
 	// Get recent expense activity
 	const recentExpensesCount = await prisma.expense.count({
 		where: {
@@ -233,36 +298,39 @@ const getGroupExpenseStats = async (groupId) => {
 		where: { groupId },
 		select: {
 			amount: true,
+			currency: true,
+			exchangeRate: true,
 			category: true,
 		},
 	});
 
-	// Calculate category totals
+	// Calculate category totals in the group base currency
 	const categoryTotals = {};
 	let total = 0;
 
 	expenses.forEach((expense) => {
 		const category = expense.category || "Uncategorized";
+		const amount = toBaseCurrency(expense.amount, expense, currency);
 		if (!categoryTotals[category]) {
 			categoryTotals[category] = 0;
 		}
-		categoryTotals[category] += expense.amount;
-		total += expense.amount;
+		categoryTotals[category] += amount;
+		total += amount;
 	});
 
 	// Find top categories
 	const topCategories = Object.entries(categoryTotals)
 		.map(([category, amount]) => ({
 			category,
-			amount,
+			amount: fromMinorUnits(amount, currency),
 			percentage: total > 0 ? Math.round((amount / total) * 100) : 0,
 		}))
 		.sort((a, b) => b.amount - a.amount)
 		.slice(0, 3);
 
 	return {
-		totalAmount: totalResult._sum.amount || 0,
-		totalCount: totalResult._count || 0,
+		totalAmount: fromMinorUnits(total, currency),
+		totalCount: expenses.length,
 		recentActivity: recentExpensesCount,
 		topCategories,
 	};
@@ -272,110 +340,7 @@ const getGroupExpenseStats = async (groupId) => {
  * Calculate detailed balance information for all group members
  */
 const calculateMemberBalances = async (groupId) => {
-	// Get all group members
-	const groupMembers = await prisma.groupMember.findMany({
-		where: { groupId },
-		include: {
-			user: {
-				select: {
-					id: true,
-					firstName: true,
-					lastName: true,
-				},
-			},
-		},
-	});
-
-	// Get all expenses for the group
-	const expenses = await prisma.expense.findMany({
-		where: { groupId },
-		include: {
-			shares: true,
-		},
-	});
-
-	// Calculate balances
-	const balances = {};
-
-	// Initialize balances for all members
-	groupMembers.forEach((member) => {
-		balances[member.user.id] = {
-			user: member.user,
-			paid: 0,
-			owed: 0,
-			balance: 0,
-		};
-	});
-
-	// Process each expense
-	expenses.forEach((expense) => {
-		const paidById = expense.paidById;
-
-		// Add to payer's paid amount
-		if (balances[paidById]) {
-			balances[paidById].paid += expense.amount;
-		}
-
-		// Add to each member's owed amount based on shares
-		expense.shares.forEach((share) => {
-			if (balances[share.userId]) {
-				balances[share.userId].owed += share.amount;
-			}
-		});
-	});
-
-	// Calculate net balance for each member
-	Object.keys(balances).forEach((userId) => {
-		balances[userId].balance = balances[userId].paid - balances[userId].owed;
-
-		// Format to 2 decimal places
-		balances[userId].paid = parseFloat(balances[userId].paid.toFixed(2));
-		balances[userId].owed = parseFloat(balances[userId].owed.toFixed(2));
-		balances[userId].balance = parseFloat(balances[userId].balance.toFixed(2));
-	});
-
-	// Convert to array and sort by balance
-	return Object.values(balances).sort((a, b) => b.balance - a.balance);
-};
-
-/**
- * Generate settlement suggestions to simplify debt repayment
- */
-const generateSettlementSuggestions = (balances) => {
-	const settlements = [];
-	const debtors = [...balances]
-		.filter((member) => member.balance < 0)
-		.sort((a, b) => a.balance - b.balance); // Most negative first
-
-	const creditors = [...balances]
-		.filter((member) => member.balance > 0)
-		.sort((a, b) => b.balance - a.balance); // Most positive first
-
-	// Continue while there are members with negative balances
-	while (debtors.length > 0 && creditors.length > 0) {
-		const debtor = debtors[0];
-		const creditor = creditors[0];
-
-		// Calculate the transaction amount
-		const amount = Math.min(Math.abs(debtor.balance), creditor.balance);
-
-		if (amount > 0.01) {
-			// Only suggest meaningful amounts
-			settlements.push({
-				from: debtor.user,
-				to: creditor.user,
-				amount: parseFloat(amount.toFixed(2)),
-			});
-		}
-
-		// Update balances
-		debtor.balance += amount;
-		creditor.balance -= amount;
-
-		// Remove settled members
-		if (Math.abs(debtor.balance) < 0.01) debtors.shift();
-		if (Math.abs(creditor.balance) < 0.01) creditors.shift();
-	}
-
-	return settlements;
+	// Balances in minor units, sorted by balance descending
+	const { balances } = await getGroupBalanceSheet(groupId);
+	return balances;
 };
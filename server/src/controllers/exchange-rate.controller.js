@@ -0,0 +1,56 @@
+// src/controllers/exchange-rate.controller.js
+import {
+	listExchangeRates,
+	saveExchangeRates,
+	loadExchangeRatesFromFile,
+} from "../services/exchange-rate.service.js";
+
+// Get all stored exchange rates
+export const getExchangeRates = async (req, res) => {
+	try {
+		const rates = await listExchangeRates();
+
+		res.json({ rates });
+	} catch (error) {
+		console.error("Get exchange rates error:", error);
+		res
+			.status(500)
+			.json({ error: "An error occurred while fetching exchange rates" });
+	}
+};
+
+// Save exchange rates sent by an admin
+export const updateExchangeRates = async (req, res) => {
+	try {
+		const { base, rates } = req.body;
+
+		const saved = await saveExchangeRates(base, rates, "admin");
+
+		res.json({
+			message: `${saved.length} exchange rates saved`,
+			rates: saved,
+		});
+	} catch (error) {
+		console.error("Update exchange rates error:", error);
+		res
+			.status(500)
+			.json({ error: "An error occurred while saving exchange rates" });
+	}
+};
+
+// Reload exchange rates from the configured local file
+export const reloadExchangeRates = async (req, res) => {
+	try {
+		const saved = await loadExchangeRatesFromFile();
+
+		res.json({
+			message: `${saved.length} exchange rates loaded from file`,
+			rates: saved,
+		});
+	} catch (error) {
+		console.error("Reload exchange rates error:", error);
+		res.status(500).json({
+			error: error.message || "An error occurred while loading exchange rates",
+		});
+	}
+};
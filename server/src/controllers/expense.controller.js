@@ -1,18 +1,127 @@
 // src/controllers/expense.controller.js
 import { categorizeExpense } from "../utils/ai.utils.js";
+import { calculatePayers, calculateShares } from "../utils/split.utils.js";
+import { formatBalance, simplifyDebts } from "../utils/balance.utils.js";
+import { normalizeCurrency, toBaseCurrency } from "../utils/currency.utils.js";
+import {
+	fromMinorUnits,
+	getMinorUnitExponent,
+	toMinorUnits,
+} from "../utils/money.utils.js";
+import { getExchangeRate } from "../services/exchange-rate.service.js";
+import { getGroupBalanceSheet } from "../services/balance.service.js";
+import { getGroupSettings } from "../utils/group-settings.utils.js";
+import { recordActivity } from "../services/activity.service.js";
+import { Prisma } from "@prisma/client";
 import prisma from "../db.js";
 
+/**
+ * Summarize an expense for the group activity log
+ * @param {Object} expense - Expense with amounts in minor units
+ * @returns {Object} - Activity data
+ */
+const toExpenseActivity = (expense) => ({
+	expenseId: expense.id,
+	description: expense.description,
+	amount: expense.amount,
+	currency: expense.currency,
+	category: expense.category,
+	paidById: expense.paidById,
+});
+
+/**
+ * Convert the decimal amounts of an expense request into minor units
+ * @param {Object} body - Request body
+ * @param {string} currency - Currency the amounts are entered in
+ * @returns {Object} - amount, payers, splitDetails, items, tax and tip in minor units
+ */
+const toMinorUnitInputs = (body, currency) => {
+	const toMinor = (value) =>
+		value === undefined || value === null
+			? value
+			: toMinorUnits(value, currency);
+
+	return {
+		amount: toMinor(body.amount),
+		tax: toMinor(body.tax),
+		tip: toMinor(body.tip),
+		payers: body.payers?.map((payer) => ({
+			...payer,
+			amount: toMinor(payer.amount),
+		})),
+		splitDetails: Array.isArray(body.splitDetails)
+			? body.splitDetails.map((detail) =>
+					detail.amount === undefined
+						? detail
+						: { ...detail, amount: toMinor(detail.amount) }
+			  )
+			: body.splitDetails,
+		items: body.items?.map((item) => ({
+			...item,
+			price: toMinor(item.price),
+		})),
+	};
+};
+
+/**
+ * Format an expense for API responses, converting minor units back into
+ * decimal amounts in the expense currency
+ * @param {Object} expense - Expense including shares, payers, paidBy and items
+ * @returns {Object} - Formatted expense
+ */
+const formatExpense = (expense) => {
+	const toDecimal = (value) =>
+		value === null ? value : fromMinorUnits(value, expense.currency);
+
+	return {
+		id: expense.id,
+		amount: toDecimal(expense.amount),
+		currency: expense.currency,
+		exchangeRate: expense.exchangeRate,
+		description: expense.description,
+		category: expense.category,
+		splitType: expense.splitType,
+		splitDetails: Array.isArray(expense.splitDetails)
+			? expense.splitDetails.map((detail) =>
+					detail.amount === undefined
+						? detail
+						: { ...detail, amount: toDecimal(detail.amount) }
+			  )
+			: expense.splitDetails,
+		participants: expense.participants,
+		tax: toDecimal(expense.tax),
+		tip: toDecimal(expense.tip),
+		items: expense.items.map((item) => ({
+			id: item.id,
+			name: item.name,
+			price: toDecimal(item.price),
+			quantity: item.quantity,
+			assignedTo: item.assignedTo,
+		})),
+		paidBy: expense.paidBy,
+		payers: expense.payers.map((payer) => ({
+			amount: toDecimal(payer.amount),
+			user: payer.user,
+		})),
+		shares: expense.shares.map((share) => ({
+			id: share.id,
+			amount: toDecimal(share.amount),
+			user: share.user,
+		})),
+	};
+};
+
 // Create a new expense in a group
 export const createExpense = async (req, res) => {
 	try {
 		const {
 			groupId,
-			amount,
 			description,
 			category,
 			paidById,
 			splitType,
-			splitDetails,
+			participants,
+			currency,
 		} = req.body;
 
 		const userId = req.user.id;
@@ -33,10 +142,36 @@ export const createExpense = async (req, res) => {
 				.json({ error: "You are not a member of this group" });
 		}
 
-		// If no category is provided, use AI to categorize
-		let expenseCategory = category;
+		// Expenses default to the group's default currency, then its base currency
+		const group = await prisma.group.findUnique({
+			where: { id: groupId },
+			select: { currency: true, settings: true },
+		});
+		const settings = getGroupSettings(group);
+		const expenseCurrency = normalizeCurrency(
+			currency || settings.defaultCurrency || group.currency
+		);
+
+		// Money is stored in minor units of the expense currency
+		const { amount, payers, splitDetails, items, tax, tip } = toMinorUnitInputs(
+			req.body,
+			expenseCurrency
+		);
+
+		// Capture the exchange rate into the group base currency
+		let exchangeRate;
+		try {
+			exchangeRate = await getExchangeRate(expenseCurrency, group.currency);
+		} catch (error) {
+			return res.status(400).json({ error: error.message });
+		}
+
+		// If no category is provided, use the group default or AI to categorize
+		let expenseCategory = category || settings.defaultCategory;
 		if (!expenseCategory) {
-			expenseCategory = await categorizeExpense(description);
+			expenseCategory = settings.aiCategorization
+				? await categorizeExpense(description)
+				: "Other";
 		}
 
 		// Get all group members for splitting
@@ -47,6 +182,25 @@ export const createExpense = async (req, res) => {
 
 		const memberIds = groupMembers.map((member) => member.userId);
 
+		// Without a split type, use the group's default split for the members
+		// still in the group
+		const expenseSplitType = splitType || settings.defaultSplitType;
+		let expenseParticipants = participants;
+		let expenseSplitDetails = splitDetails;
+
+		if (!splitType && expenseSplitType === "equal") {
+			const defaultParticipants = settings.defaultParticipants?.filter(
+				(participantId) => memberIds.includes(participantId)
+			);
+			expenseParticipants = defaultParticipants?.length
+				? defaultParticipants
+				: undefined;
+		} else if (!splitType) {
+			expenseSplitDetails = settings.defaultSplitDetails?.filter((detail) =>
+				memberIds.includes(detail.userId)
+			);
+		}
+
 		// Validate paidById is a member of the group
 		if (paidById && !memberIds.includes(paidById)) {
 			return res
@@ -54,57 +208,36 @@ export const createExpense = async (req, res) => {
 				.json({ error: "Payer must be a member of the group" });
 		}
 
-		const actualPaidById = paidById || userId;
-
-		// Process split logic
-		let shares = [];
-
-		if (splitType === "equal") {
-			// Equal split among all members
-			const shareAmount = parseFloat((amount / memberIds.length).toFixed(2));
-			shares = memberIds.map((memberId) => ({
-				userId: memberId,
-				amount: shareAmount,
-			}));
-
-			// Handle rounding errors by adding remainder to the first member's share
-			const totalShareAmount = shareAmount * memberIds.length;
-			if (totalShareAmount !== amount && shares.length > 0) {
-				const remainder = parseFloat((amount - totalShareAmount).toFixed(2));
-				shares[0].amount = parseFloat(
-					(shares[0].amount + remainder).toFixed(2)
-				);
-			}
-		} else if (splitType === "custom" && Array.isArray(splitDetails)) {
-			// Validate custom split details
-			const totalSplitAmount = splitDetails.reduce(
-				(sum, detail) => sum + detail.amount,
-				0
-			);
+		// Resolve payer contributions, defaulting to a single payer
+		const {
+			payers: expensePayers,
+			paidById: actualPaidById,
+			error: payerError,
+		} = calculatePayers({
+			amount,
+			payers,
+			paidById: paidById || userId,
+			memberIds,
+		});
 
-			// Ensure total split amount equals expense amount
-			if (Math.abs(totalSplitAmount - amount) > 0.01) {
-				return res.status(400).json({
-					error: "Total split amount must equal expense amount",
-					totalSplitAmount,
-					expenseAmount: amount,
-				});
-			}
+		if (payerError) {
+			return res.status(400).json(payerError);
+		}
 
-			// Ensure all users in split details are group members
-			for (const detail of splitDetails) {
-				if (!memberIds.includes(detail.userId)) {
-					return res.status(400).json({
-						error: `User ${detail.userId} is not a member of this group`,
-					});
-				}
-			}
+		// Process split logic
+		const { shares, error: splitError } = calculateShares({
+			amount,
+			splitType: expenseSplitType,
+			splitDetails: expenseSplitDetails,
+			participants: expenseParticipants,
+			items,
+			tax,
+			tip,
+			memberIds,
+		});
 
-			shares = splitDetails;
-		} else {
-			return res.status(400).json({
-				error: "Invalid split type. Must be 'equal' or 'custom'.",
-			});
+		if (splitError) {
+			return res.status(400).json(splitError);
 		}
 
 		// Create expense and expense shares in a transaction
@@ -113,12 +246,32 @@ export const createExpense = async (req, res) => {
 			const newExpense = await tx.expense.create({
 				data: {
 					amount,
+					currency: expenseCurrency,
+					exchangeRate,
 					description,
 					category: expenseCategory,
 					paidById: actualPaidById,
 					groupId,
 					createdById: userId,
-					splitType,
+					splitType: expenseSplitType,
+					// Keep the original split inputs so edits can show what was entered
+					...(expenseSplitType !== "equal" && {
+						splitDetails: expenseSplitDetails,
+					}),
+					...(expenseSplitType === "equal" &&
+						expenseParticipants && { participants: expenseParticipants }),
+					...(expenseSplitType === "itemized" && {
+						tax: tax || 0,
+						tip: tip || 0,
+						items: {
+							create: items.map((item) => ({
+								name: item.name,
+								price: item.price,
+								quantity: item.quantity || 1,
+								assignedTo: item.assignedTo,
+							})),
+						},
+					}),
 				},
 			});
 
@@ -133,6 +286,17 @@ export const createExpense = async (req, res) => {
 				});
 			}
 
+			// Record how much each payer contributed
+			for (const payer of expensePayers) {
+				await tx.expensePayer.create({
+					data: {
+						expenseId: newExpense.id,
+						userId: payer.userId,
+						amount: payer.amount,
+					},
+				});
+			}
+
 			return newExpense;
 		});
 
@@ -158,28 +322,37 @@ export const createExpense = async (req, res) => {
 						lastName: true,
 					},
 				},
+				payers: {
+					include: {
+						user: {
+							select: {
+								id: true,
+								firstName: true,
+								lastName: true,
+							},
+						},
+					},
+				},
+				items: true,
 			},
 		});
 
 		// Format response
 		const formattedExpense = {
-			id: expenseWithShares.id,
-			amount: expenseWithShares.amount,
-			description: expenseWithShares.description,
-			category: expenseWithShares.category,
-			splitType: expenseWithShares.splitType,
+			...formatExpense(expenseWithShares),
 			createdAt: expenseWithShares.createdAt,
-			paidBy: expenseWithShares.paidBy,
-			shares: expenseWithShares.shares.map((share) => ({
-				id: share.id,
-				amount: share.amount,
-				user: share.user,
-			})),
 		};
 
 		// Emit real-time update through socket (handled in socket setup)
 		req.io.to(`group:${groupId}`).emit("new-expense", formattedExpense);
 
+		await recordActivity({
+			groupId,
+			actorId: userId,
+			type: "new-expense",
+			data: toExpenseActivity(expenseWithShares),
+		});
+
 		res.status(201).json({
 			message: "Expense created successfully",
 			expense: formattedExpense,
@@ -196,8 +369,14 @@ export const createExpense = async (req, res) => {
 export const updateExpense = async (req, res) => {
 	try {
 		const { expenseId } = req.params;
-		const { amount, description, category, paidById, splitType, splitDetails } =
-			req.body;
+		const {
+			description,
+			category,
+			paidById,
+			splitType,
+			participants,
+			currency,
+		} = req.body;
 
 		const userId = req.user.id;
 
@@ -210,6 +389,9 @@ export const updateExpense = async (req, res) => {
 						members: true,
 					},
 				},
+				payers: true,
+				items: true,
+				shares: true,
 			},
 		});
 
@@ -217,7 +399,7 @@ export const updateExpense = async (req, res) => {
 			return res.status(404).json({ error: "Expense not found" });
 		}
 
-		// Check if user is creator or admin
+		// Check if user is creator or may edit others' expenses
 		const userMembership = expense.group.members.find(
 			(member) => member.userId === userId
 		);
@@ -228,12 +410,13 @@ export const updateExpense = async (req, res) => {
 				.json({ error: "You are not a member of this group" });
 		}
 
-		const isAdmin = userMembership.role === "admin";
+		const { addExpenses, editOthersExpenses } = req.groupPermissions;
 		const isCreator = expense.createdById === userId;
 
-		if (!isAdmin && !isCreator) {
+		if (!editOthersExpenses && !(isCreator && addExpenses)) {
 			return res.status(403).json({
-				error: "Only expense creator or group admin can update the expense",
+				error:
+					"Your role in this group does not allow you to update this expense",
 			});
 		}
 
@@ -247,63 +430,152 @@ export const updateExpense = async (req, res) => {
 				.json({ error: "Payer must be a member of the group" });
 		}
 
+		// Recapture the exchange rate if the currency changed
+		let newCurrency;
+		let newExchangeRate;
+		if (currency && normalizeCurrency(currency) !== expense.currency) {
+			newCurrency = normalizeCurrency(currency);
+
+			try {
+				newExchangeRate = await getExchangeRate(
+					newCurrency,
+					expense.group.currency
+				);
+			} catch (error) {
+				return res.status(400).json({ error: error.message });
+			}
+
+			// Stored minor units can't be reinterpreted with a different precision
+			if (
+				!req.body.amount &&
+				getMinorUnitExponent(newCurrency) !==
+					getMinorUnitExponent(expense.currency)
+			) {
+				return res.status(400).json({
+					error:
+						"Amount is required when changing to a currency with different decimal places",
+				});
+			}
+		}
+
+		// Money is stored in minor units of the expense currency
+		const { amount, payers, splitDetails, items, tax, tip } = toMinorUnitInputs(
+			req.body,
+			newCurrency || expense.currency
+		);
+
 		let expenseCategory = category;
-		if (!expenseCategory && description) {
+		if (
+			!expenseCategory &&
+			description &&
+			getGroupSettings(expense.group).aiCategorization
+		) {
 			// If description is updated but category is not, recategorize
 			expenseCategory = await categorizeExpense(description);
 		}
 
-		// Process split logic if provided
+		// Re-split if the amount or any split input changed
 		let shares = [];
+		const resplit = Boolean(
+			amount ||
+				splitType ||
+				splitDetails ||
+				participants ||
+				items ||
+				tax !== undefined ||
+				tip !== undefined
+		);
+		const newSplitType = splitType || expense.splitType;
 
-		if (splitType && splitDetails) {
-			if (splitType === "equal") {
-				// Equal split among all members
-				const shareAmount = parseFloat((amount / memberIds.length).toFixed(2));
-				shares = memberIds.map((memberId) => ({
-					userId: memberId,
-					amount: shareAmount,
-				}));
-
-				// Handle rounding errors
-				const totalShareAmount = shareAmount * memberIds.length;
-				if (totalShareAmount !== amount && shares.length > 0) {
-					const remainder = parseFloat((amount - totalShareAmount).toFixed(2));
-					shares[0].amount = parseFloat(
-						(shares[0].amount + remainder).toFixed(2)
-					);
-				}
-			} else if (splitType === "custom" && Array.isArray(splitDetails)) {
-				// Validate custom split details
-				const totalSplitAmount = splitDetails.reduce(
-					(sum, detail) => sum + detail.amount,
-					0
-				);
+		if (participants && newSplitType !== "equal") {
+			return res
+				.status(400)
+				.json({ error: "Participants can only be chosen for equal splits" });
+		}
 
-				// Ensure total split amount equals expense amount
-				if (Math.abs(totalSplitAmount - amount) > 0.01) {
-					return res.status(400).json({
-						error: "Total split amount must equal expense amount",
-						totalSplitAmount,
-						expenseAmount: amount,
-					});
-				}
+		// Fall back to the stored split inputs when only the amount changed
+		const keepsSplitType = newSplitType === expense.splitType;
+		const newSplitDetails =
+			splitDetails || (keepsSplitType ? expense.splitDetails : undefined);
+		const newParticipants =
+			participants || (keepsSplitType ? expense.participants : []);
+		const newItems = items || (keepsSplitType ? expense.items : undefined);
+		const newTax = tax ?? (keepsSplitType ? expense.tax : 0);
+		const newTip = tip ?? (keepsSplitType ? expense.tip : 0);
+
+		if (resplit) {
+			const { shares: newShares, error: splitError } = calculateShares({
+				amount: amount || expense.amount,
+				splitType: newSplitType,
+				splitDetails: newSplitDetails,
+				participants: newParticipants,
+				items: newItems,
+				tax: newTax,
+				tip: newTip,
+				memberIds,
+			});
 
-				// Ensure all users in split details are group members
-				for (const detail of splitDetails) {
-					if (!memberIds.includes(detail.userId)) {
-						return res.status(400).json({
-							error: `User ${detail.userId} is not a member of this group`,
-						});
-					}
-				}
+			if (splitError) {
+				return res.status(400).json(splitError);
+			}
+
+			shares = newShares;
+		}
+
+		// Recorded payments stay with their shares, so a paid share can't be
+		// removed or reinterpreted in another currency
+		const paidShares = expense.shares.filter((share) => share.paidAmount > 0);
+
+		if (newCurrency && paidShares.length > 0) {
+			return res.status(409).json({
+				error:
+					"The currency cannot be changed once payments have been recorded",
+			});
+		}
+
+		if (
+			shares.length > 0 &&
+			paidShares.some(
+				(paidShare) =>
+					!shares.some((share) => share.userId === paidShare.userId)
+			)
+		) {
+			return res.status(409).json({
+				error:
+					"Members who have already paid towards this expense must stay in the split",
+			});
+		}
 
-				shares = splitDetails;
-			} else {
+		// Re-resolve payer contributions if the payer or the amount changed
+		let expensePayers = [];
+		let newPaidById = expense.paidById;
+		const repay = Boolean(amount || paidById || payers);
+
+		if (repay) {
+			if (!payers && !paidById && expense.payers.length > 1) {
 				return res.status(400).json({
-					error: "Invalid split type. Must be 'equal' or 'custom'.",
+					error:
+						"Payer contributions are required when changing the amount of an expense with multiple payers",
 				});
 			}
+
+			const {
+				payers: newPayers,
+				paidById: primaryPayerId,
+				error: payerError,
+			} = calculatePayers({
+				amount: amount || expense.amount,
+				payers,
+				paidById: paidById || expense.paidById,
+				memberIds,
+			});
+
+			if (payerError) {
+				return res.status(400).json(payerError);
+			}
+
+			expensePayers = newPayers;
+			newPaidById = primaryPayerId;
 		}
 
 		// Update expense and shares in a transaction
@@ -313,27 +585,93 @@ export const updateExpense = async (req, res) => {
 				where: { id: expenseId },
 				data: {
 					...(amount && { amount }),
+					...(newCurrency && {
+						currency: newCurrency,
+						exchangeRate: newExchangeRate,
+					}),
 					...(description && { description }),
 					...(expenseCategory && { category: expenseCategory }),
-					...(paidById && { paidById }),
+					...(repay && { paidById: newPaidById }),
 					...(splitType && { splitType }),
+					...(resplit && {
+						splitDetails:
+							newSplitType === "equal" ? Prisma.DbNull : newSplitDetails,
+						participants: newSplitType === "equal" ? newParticipants : [],
+						tax: newSplitType === "itemized" ? newTax || 0 : null,
+						tip: newSplitType === "itemized" ? newTip || 0 : null,
+					}),
 				},
 			});
 
-			// If we're updating the split, replace all shares
+			// If we're updating the split, replace all line items
+			if (resplit) {
+				await tx.expenseItem.deleteMany({
+					where: { expenseId },
+				});
+
+				if (newSplitType === "itemized") {
+					for (const item of newItems) {
+						await tx.expenseItem.create({
+							data: {
+								expenseId,
+								name: item.name,
+								price: item.price,
+								quantity: item.quantity || 1,
+								assignedTo: item.assignedTo,
+							},
+						});
+					}
+				}
+			}
+
+			// If we're updating the split, update shares in place so their
+			// payments are kept
 			if (shares.length > 0) {
-				// Delete existing shares
+				// Delete shares of members no longer in the split
 				await tx.expenseShare.deleteMany({
-					where: { expenseId },
+					where: {
+						expenseId,
+						userId: { notIn: shares.map((share) => share.userId) },
+					},
 				});
 
-				// Create new shares
 				for (const share of shares) {
-					await tx.expenseShare.create({
+					const existingShare = expense.shares.find(
+						(current) => current.userId === share.userId
+					);
+
+					if (existingShare) {
+						await tx.expenseShare.update({
+							where: { id: existingShare.id },
+							data: {
+								amount: share.amount,
+								paid: existingShare.paidAmount >= share.amount,
+							},
+						});
+					} else {
+						await tx.expenseShare.create({
+							data: {
+								expenseId,
+								userId: share.userId,
+								amount: share.amount,
+							},
+						});
+					}
+				}
+			}
+
+			// If the payers changed, replace all payer contributions
+			if (expensePayers.length > 0) {
+				await tx.expensePayer.deleteMany({
+					where: { expenseId },
+				});
+
+				for (const payer of expensePayers) {
+					await tx.expensePayer.create({
 						data: {
 							expenseId,
-							userId: share.userId,
-							amount: share.amount,
+							userId: payer.userId,
+							amount: payer.amount,
 						},
 					});
 				}
@@ -364,23 +702,25 @@ export const updateExpense = async (req, res) => {
 						lastName: true,
 					},
 				},
+				payers: {
+					include: {
+						user: {
+							select: {
+								id: true,
+								firstName: true,
+								lastName: true,
+							},
+						},
+					},
+				},
+				items: true,
 			},
 		});
 
 		// Format response
 		const formattedExpense = {
-			id: expenseWithShares.id,
-			amount: expenseWithShares.amount,
-			description: expenseWithShares.description,
-			category: expenseWithShares.category,
-			splitType: expenseWithShares.splitType,
+			...formatExpense(expenseWithShares),
 			updatedAt: expenseWithShares.updatedAt,
-			paidBy: expenseWithShares.paidBy,
-			shares: expenseWithShares.shares.map((share) => ({
-				id: share.id,
-				amount: share.amount,
-				user: share.user,
-			})),
 		};
 
 		// Emit real-time update
@@ -388,6 +728,13 @@ export const updateExpense = async (req, res) => {
 			.to(`group:${expense.groupId}`)
 			.emit("update-expense", formattedExpense);
 
+		await recordActivity({
+			groupId: expense.groupId,
+			actorId: userId,
+			type: "update-expense",
+			data: toExpenseActivity(expenseWithShares),
+		});
+
 		res.json({
 			message: "Expense updated successfully",
 			expense: formattedExpense,
@@ -449,6 +796,18 @@ export const getGroupExpenses = async (req, res) => {
 						lastName: true,
 					},
 				},
+				payers: {
+					include: {
+						user: {
+							select: {
+								id: true,
+								firstName: true,
+								lastName: true,
+							},
+						},
+					},
+				},
+				items: true,
 			},
 			orderBy: { createdAt: "desc" },
 			skip,
@@ -462,18 +821,8 @@ export const getGroupExpenses = async (req, res) => {
 
 		// Format response
 		const formattedExpenses = expenses.map((expense) => ({
-			id: expense.id,
-			amount: expense.amount,
-			description: expense.description,
-			category: expense.category,
-			splitType: expense.splitType,
+			...formatExpense(expense),
 			createdAt: expense.createdAt,
-			paidBy: expense.paidBy,
-			shares: expense.shares.map((share) => ({
-				id: share.id,
-				amount: share.amount,
-				user: share.user,
-			})),
 		}));
 
 		res.json({
@@ -521,6 +870,18 @@ export const getExpenseById = async (req, res) => {
 						lastName: true,
 					},
 				},
+				payers: {
+					include: {
+						user: {
+							select: {
+								id: true,
+								firstName: true,
+								lastName: true,
+							},
+						},
+					},
+				},
+				items: true,
 				group: true,
 			},
 		});
@@ -547,20 +908,10 @@ export const getExpenseById = async (req, res) => {
 
 		// Format response
 		const formattedExpense = {
-			id: expense.id,
-			amount: expense.amount,
-			description: expense.description,
-			category: expense.category,
-			splitType: expense.splitType,
+			...formatExpense(expense),
 			createdAt: expense.createdAt,
 			groupId: expense.groupId,
 			groupName: expense.group.name,
-			paidBy: expense.paidBy,
-			shares: expense.shares.map((share) => ({
-				id: share.id,
-				amount: share.amount,
-				user: share.user,
-			})),
 		};
 
 		res.json({ expense: formattedExpense });
@@ -594,7 +945,7 @@ export const deleteExpense = async (req, res) => {
 			return res.status(404).json({ error: "Expense not found" });
 		}
 
-		// Check if user is creator or admin
+		// Check if user is creator or may edit others' expenses
 		const userMembership = expense.group.members.find(
 			(member) => member.userId === userId
 		);
@@ -605,12 +956,13 @@ export const deleteExpense = async (req, res) => {
 				.json({ error: "You are not a member of this group" });
 		}
 
-		const isAdmin = userMembership.role === "admin";
+		const { addExpenses, editOthersExpenses } = req.groupPermissions;
 		const isCreator = expense.createdById === userId;
 
-		if (!isAdmin && !isCreator) {
+		if (!editOthersExpenses && !(isCreator && addExpenses)) {
 			return res.status(403).json({
-				error: "Only expense creator or group admin can delete the expense",
+				error:
+					"Your role in this group does not allow you to delete this expense",
 			});
 		}
 
@@ -624,6 +976,13 @@ export const deleteExpense = async (req, res) => {
 			.to(`group:${expense.groupId}`)
 			.emit("delete-expense", { id: expenseId });
 
+		await recordActivity({
+			groupId: expense.groupId,
+			actorId: userId,
+			type: "delete-expense",
+			data: toExpenseActivity(expense),
+		});
+
 		res.json({ message: "Expense deleted successfully" });
 	} catch (error) {
 		console.error("Delete expense error:", error);
@@ -680,28 +1039,36 @@ export const getExpenseSummary = async (req, res) => {
 			},
 			select: {
 				amount: true,
+				currency: true,
+				exchangeRate: true,
 				category: true,
 			},
 		});
 
-		// Calculate total by category
+		const group = await prisma.group.findUnique({
+			where: { id: groupId },
+			select: { currency: true },
+		});
+
+		// Calculate total by category, in the group base currency
 		const summary = {};
 		let total = 0;
 
 		expenses.forEach((expense) => {
 			const category = expense.category || "Uncategorized";
+			const amount = toBaseCurrency(expense.amount, expense, group.currency);
 			if (!summary[category]) {
 				summary[category] = 0;
 			}
-			summary[category] += expense.amount;
-			total += expense.amount;
+			summary[category] += amount;
+			total += amount;
 		});
 
 		// Convert to array format
 		const categorySummary = Object.entries(summary).map(
 			([category, amount]) => ({
 				category,
-				amount,
+				amount: fromMinorUnits(amount, group.currency),
 				percentage: total > 0 ? Math.round((amount / total) * 100) : 0,
 			})
 		);
@@ -711,7 +1078,8 @@ export const getExpenseSummary = async (req, res) => {
 
 		res.json({
 			period,
-			total,
+			currency: group.currency,
+			total: fromMinorUnits(total, group.currency),
 			categories: categorySummary,
 		});
 	} catch (error) {
@@ -744,79 +1112,75 @@ export const getGroupBalances = async (req, res) => {
 				.json({ error: "You are not a member of this group" });
 		}
 
-		// Get all group members
-		const groupMembers = await prisma.groupMember.findMany({
-			where: { groupId },
-			include: {
-				user: {
-					select: {
-						id: true,
-						firstName: true,
-						lastName: true,
-					},
-				},
-			},
-		});
+		// Balances in the group base currency, sorted by balance descending
+		const { currency, balances } = await getGroupBalanceSheet(groupId);
+		const balanceArray = balances.map((balance) =>
+			formatBalance(balance, currency)
+		);
 
-		// Get all expenses for the group
-		const expenses = await prisma.expense.findMany({
-			where: { groupId },
-			include: {
-				shares: true,
+		res.json({ currency, balances: balanceArray });
+	} catch (error) {
+		console.error("Get group balances error:", error);
+		res
+			.status(500)
+			.json({ error: "An error occurred while calculating balances" });
+	}
+};
+
+// Get a minimal set of transfers that settles all balances in a group
+export const getSettlePlan = async (req, res) => {
+	try {
+		const { groupId } = req.params;
+		const { memberId } = req.query;
+		const userId = req.user.id;
+
+		// Check if user is a member of the group
+		const membership = await prisma.groupMember.findUnique({
+			where: {
+				userId_groupId: {
+					userId,
+					groupId,
+				},
 			},
 		});
 
-		// Calculate balances
-		const balances = {};
-
-		// Initialize balances for all members
-		groupMembers.forEach((member) => {
-			balances[member.user.id] = {
-				user: member.user,
-				paid: 0,
-				owed: 0,
-				balance: 0,
-			};
-		});
+		if (!membership) {
+			return res
+				.status(403)
+				.json({ error: "You are not a member of this group" });
+		}
 
-		// Process each expense
-		expenses.forEach((expense) => {
-			const paidById = expense.paidById;
+		// Plan for the whole group so a member's transfers match everyone else's
+		const { currency, balances } = await getGroupBalanceSheet(groupId);
 
-			// Add to payer's paid amount
-			if (balances[paidById]) {
-				balances[paidById].paid += expense.amount;
-			}
+		if (memberId && !balances.some((balance) => balance.user.id === memberId)) {
+			return res
+				.status(400)
+				.json({ error: "User is not a member of this group" });
+		}
 
-			// Add to each member's owed amount based on shares
-			expense.shares.forEach((share) => {
-				if (balances[share.userId]) {
-					balances[share.userId].owed += share.amount;
-				}
-			});
-		});
+		const transfers = simplifyDebts(balances).filter(
+			(transfer) =>
+				!memberId ||
+				transfer.from.id === memberId ||
+				transfer.to.id === memberId
+		);
 
-		// Calculate net balance for each member
-		Object.keys(balances).forEach((userId) => {
-			balances[userId].balance = balances[userId].paid - balances[userId].owed;
+		res.json({
+			currency,
+			transfers: transfers.map((transfer) => ({
+				fromUserId: transfer.from.id,
+				toUserId: transfer.to.id,
+				from: transfer.from,
+				to: transfer.to,
+				amount: fromMinorUnits(transfer.amount, currency),
+				currency,
+			})),
 		});
-
-		// Convert to array and sort by balance
-		const balanceArray = Object.values(balances).map((balance) => ({
-			...balance,
-			paid: parseFloat(balance.paid.toFixed(2)),
-			owed: parseFloat(balance.owed.toFixed(2)),
-			balance: parseFloat(balance.balance.toFixed(2)),
-		}));
-
-		// Sort by balance descending
-		balanceArray.sort((a, b) => b.balance - a.balance);
-
-		res.json({ balances: balanceArray });
 	} catch (error) {
-		console.error("Get group balances error:", error);
+		console.error("Get settle plan error:", error);
 		res
 			.status(500)
-			.json({ error: "An error occurred while calculating balances" });
+			.json({ error: "An error occurred while calculating the settle plan" });
 	}
 };
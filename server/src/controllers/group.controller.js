@@ -4,26 +4,82 @@ import {
 	generateGroupCode,
 } from "../utils/invite.utils.js";
 import prisma from '../db.js'
+import { normalizeCurrency } from "../utils/currency.utils.js";
+import { currencySchema } from "../validation/exchange-rate.validation.js";
+import {
+	acceptInvite,
+	getInviteExpiry,
+	resendInvite,
+	sendInviteEmail,
+} from "../services/invite.service.js";
+import {
+	createJoinRequest,
+	formatJoinRequest,
+	notifyGroupAdmins,
+} from "../services/join-request.service.js";
+import { createPlaceholderMember } from "../services/placeholder.service.js";
+import { getGroupBalanceSheet } from "../services/balance.service.js";
+import { recordActivity } from "../services/activity.service.js";
+import { fromMinorUnits } from "../utils/money.utils.js";
+import { isSettledBalance } from "../utils/balance.utils.js";
+import {
+	DEFAULT_GROUP_PERMISSIONS,
+	GROUP_ROLES,
+	getGroupPermissionRoles,
+	hasRole,
+} from "../utils/permission.utils.js";
+import {
+	formatArchiveStatus,
+	getGroupDeletableAt,
+	getUnsettledBalances,
+} from "../services/group-archive.service.js";
+import {
+	getDefaultSplitError,
+	getGroupSettings,
+	mergeGroupSettings,
+} from "../utils/group-settings.utils.js";
+
+/**
+ * Format a pending invite for the group's admins. The token is left out.
+ * @param {Object} invite - Group invite including group
+ * @returns {Object} - Formatted invite
+ */
+const formatInvite = (invite) => ({
+	id: invite.id,
+	email: invite.email,
+	expiresAt: invite.expiresAt,
+	createdAt: invite.createdAt,
+	inviterId: invite.inviterId,
+	placeholderId: invite.placeholderId,
+	groupName: invite.group.name,
+});
 
 
 // Create a new group
 export const createGroup = async (req, res) => {
 	try {
-		const { name, description } = req.body;
+		const { name, description, currency } = req.body;
 		const userId = req.user.id;
 
+		if (currency && currencySchema.validate(currency).error) {
+			return res
+				.status(400)
+				.json({ error: "Currency must be a 3-letter ISO 4217 code" });
+		}
+
 		const groupCode = generateGroupCode();
 
-		// Create group with the creator as admin
+		// Create group with the creator as owner
 		const group = await prisma.group.create({
 			data: {
 				name,
 				description,
 				code: groupCode,
+				currency: normalizeCurrency(currency),
 				members: {
 					create: {
 						userId,
-						role: "admin",
+						role: "owner",
 					},
 				},
 			},
@@ -32,6 +88,13 @@ export const createGroup = async (req, res) => {
 			},
 		});
 
+		await recordActivity({
+			groupId: group.id,
+			actorId: userId,
+			type: "group-created",
+			data: { name: group.name, currency: group.currency },
+		});
+
 		res.status(201).json({
 			message: "Group created successfully",
 			group: {
@@ -39,6 +102,7 @@ export const createGroup = async (req, res) => {
 				name: group.name,
 				description: group.description,
 				code: group.code,
+				currency: group.currency,
 				createdAt: group.createdAt,
 			},
 		});
@@ -50,14 +114,17 @@ export const createGroup = async (req, res) => {
 	}
 };
 
-// Get all groups the user is a member of
+// Get all groups the user is a member of. Archived groups are left out
+// unless ?includeArchived=true.
 export const getUserGroups = async (req, res) => {
 	try {
 		const userId = req.user.id;
+		const includeArchived = req.query.includeArchived === "true";
 
 		const groupMemberships = await prisma.groupMember.findMany({
 			where: {
 				userId,
+				...(!includeArchived && { group: { archivedAt: null } }),
 			},
 			include: {
 				group: true,
@@ -69,6 +136,8 @@ export const getUserGroups = async (req, res) => {
 			name: membership.group.name,
 			description: membership.group.description,
 			code: membership.group.code,
+			currency: membership.group.currency,
+			archivedAt: membership.group.archivedAt,
 			role: membership.role,
 			joinedAt: membership.joinedAt,
 		}));
@@ -115,6 +184,7 @@ export const getGroupById = async (req, res) => {
 								lastName: true,
 								email: true,
 								profileImage: true,
+								isPlaceholder: true,
 							},
 						},
 					},
@@ -133,6 +203,7 @@ export const getGroupById = async (req, res) => {
 			lastName: member.user.lastName,
 			email: member.user.email,
 			profileImage: member.user.profileImage,
+			isPlaceholder: member.user.isPlaceholder,
 			role: member.role,
 			joinedAt: member.joinedAt,
 		}));
@@ -143,6 +214,10 @@ export const getGroupById = async (req, res) => {
 				name: group.name,
 				description: group.description,
 				code: group.code,
+				currency: group.currency,
+				requireJoinApproval: group.requireJoinApproval,
+				settings: getGroupSettings(group),
+				...formatArchiveStatus(group),
 				createdAt: group.createdAt,
 				updatedAt: group.updatedAt,
 				members,
@@ -159,7 +234,7 @@ export const getGroupById = async (req, res) => {
 // Join a group using invite code
 export const joinGroupByCode = async (req, res) => {
 	try {
-		const { code } = req.body;
+		const { code, message } = req.body;
 		const userId = req.user.id;
 
 		// Find group by code
@@ -171,6 +246,10 @@ export const joinGroupByCode = async (req, res) => {
 			return res.status(404).json({ error: "Invalid group code" });
 		}
 
+		if (group.archivedAt) {
+			return res.status(410).json({ error: "This group has been archived" });
+		}
+
 		// Check if user is already a member
 		const existingMembership = await prisma.groupMember.findUnique({
 			where: {
@@ -187,6 +266,35 @@ export const joinGroupByCode = async (req, res) => {
 				.json({ error: "You are already a member of this group" });
 		}
 
+		// Groups that require approval queue the request for their admins
+		if (group.requireJoinApproval) {
+			const pendingRequest = await prisma.joinRequest.findFirst({
+				where: { groupId: group.id, userId, status: "pending" },
+			});
+
+			if (pendingRequest) {
+				return res.status(409).json({
+					error: "You have already asked to join this group",
+				});
+			}
+
+			const joinRequest = formatJoinRequest(
+				await createJoinRequest(group.id, userId, message)
+			);
+
+			await notifyGroupAdmins(
+				req.io,
+				group.id,
+				"join-request-created",
+				joinRequest
+			);
+
+			return res.status(202).json({
+				message: "Your request to join has been sent to the group admins",
+				request: joinRequest,
+			});
+		}
+
 		// Add user as member
 		await prisma.groupMember.create({
 			data: {
@@ -196,6 +304,17 @@ export const joinGroupByCode = async (req, res) => {
 			},
 		});
 
+		await recordActivity({
+			groupId: group.id,
+			actorId: userId,
+			type: "member-joined",
+			data: {
+				userId,
+				userName: `${req.user.firstName} ${req.user.lastName}`,
+				via: "code",
+			},
+		});
+
 		res.json({
 			message: "Successfully joined the group",
 			group: {
@@ -216,25 +335,9 @@ export const joinGroupByCode = async (req, res) => {
 export const inviteToGroup = async (req, res) => {
 	try {
 		const { groupId } = req.params;
-		const { email } = req.body;
+		const { email, placeholderId } = req.body;
 		const userId = req.user.id;
 
-		// Check if user is an admin of the group
-		const membership = await prisma.groupMember.findUnique({
-			where: {
-				userId_groupId: {
-					userId,
-					groupId,
-				},
-			},
-		});
-
-		if (!membership || membership.role !== "admin") {
-			return res
-				.status(403)
-				.json({ error: "Only group admins can send invitations" });
-		}
-
 		// Check if the email is already a member
 		const existingUser = await prisma.user.findUnique({
 			where: { email },
@@ -263,42 +366,61 @@ export const inviteToGroup = async (req, res) => {
 		});
 
 		if (existingInvite) {
-			return res
-				.status(409)
-				.json({ error: "An invitation has already been sent to this email" });
+			return res.status(409).json({
+				error:
+					"An invitation has already been sent to this email, resend it instead",
+			});
 		}
 
-		// Generate invitation token
-		const token = generateInviteToken();
-		const expiresAt = new Date();
-		expiresAt.setDate(expiresAt.getDate() + 7); // 7 days expiration
+		// The invitee can take over a placeholder member when they accept
+		if (placeholderId) {
+			const placeholderMembership = await prisma.groupMember.findUnique({
+				where: {
+					userId_groupId: {
+						userId: placeholderId,
+						groupId,
+					},
+				},
+				include: { user: true },
+			});
+
+			if (!placeholderMembership?.user.isPlaceholder) {
+				return res
+					.status(400)
+					.json({ error: "Placeholder member not found in this group" });
+			}
+		}
 
 		// Create invite
 		const invite = await prisma.groupInvite.create({
 			data: {
 				email,
-				token,
-				expiresAt,
+				placeholderId,
+				token: generateInviteToken(),
+				expiresAt: getInviteExpiry(),
 				groupId,
 				inviterId: userId,
 			},
 			include: {
 				group: true,
+				inviter: true,
 			},
 		});
 
-		// Here you would normally send an email with the invite link
-		// This would require an email service integration
-		// For now, we'll just return the token for testing purposes
+		// The token only goes to the invited address, never back to the inviter
+		try {
+			await sendInviteEmail(invite);
+		} catch (error) {
+			console.error("Send invite email error:", error);
+			await prisma.groupInvite.delete({ where: { id: invite.id } });
+			return res
+				.status(502)
+				.json({ error: "The invitation email could not be sent" });
+		}
 
 		res.status(201).json({
 			message: "Invitation sent successfully",
-			invite: {
-				email,
-				token,
-				expiresAt,
-				groupName: invite.group.name,
-			},
+			invite: formatInvite(invite),
 		});
 	} catch (error) {
 		console.error("Invite to group error:", error);
@@ -329,6 +451,10 @@ export const acceptInvitation = async (req, res) => {
 			return res.status(410).json({ error: "This invitation has expired" });
 		}
 
+		if (invite.group.archivedAt) {
+			return res.status(410).json({ error: "This group has been archived" });
+		}
+
 		// Verify user email matches invited email
 		if (req.user.email.toLowerCase() !== invite.email.toLowerCase()) {
 			return res
@@ -355,17 +481,21 @@ export const acceptInvitation = async (req, res) => {
 				.json({ error: "You are already a member of this group" });
 		}
 
-		// Add user as member and delete invitation
-		await prisma.$transaction([
-			prisma.groupMember.create({
-				data: {
-					userId,
-					groupId: invite.groupId,
-					role: "member",
-				},
-			}),
-			prisma.groupInvite.delete({ where: { id: invite.id } }),
-		]);
+		// Add user as member, take over any placeholders meant for them and
+		// delete invitation
+		await prisma.$transaction((tx) => acceptInvite(tx, invite, req.user));
+
+		await recordActivity({
+			groupId: invite.groupId,
+			actorId: userId,
+			type: "member-joined",
+			data: {
+				userId,
+				userName: `${req.user.firstName} ${req.user.lastName}`,
+				via: "invite",
+				inviterId: invite.inviterId,
+			},
+		});
 
 		res.json({
 			message: "Successfully joined the group",
@@ -383,33 +513,266 @@ export const acceptInvitation = async (req, res) => {
 	}
 };
 
-// Update member role (promote to admin or demote to member)
-export const updateMemberRole = async (req, res) => {
+// Add a member without an account, e.g. { "firstName": "Grandma", "email": "..." }
+export const addPlaceholderMember = async (req, res) => {
 	try {
-		const { groupId, memberId } = req.params;
-		const { role } = req.body;
-		const userId = req.user.id;
+		const { groupId } = req.params;
+		const { firstName, lastName, email } = req.body;
 
-		if (role !== "admin" && role !== "member") {
+		if (!firstName || !firstName.trim()) {
 			return res
 				.status(400)
-				.json({ error: 'Invalid role. Must be "admin" or "member"' });
+				.json({ error: "A name is required for a placeholder member" });
 		}
 
-		// Check if requester is an admin
-		const requesterMembership = await prisma.groupMember.findUnique({
+		// People who already have an account should be invited instead
+		if (email) {
+			const existingUser = await prisma.user.findFirst({
+				where: { email: { equals: email, mode: "insensitive" } },
+			});
+
+			if (existingUser) {
+				return res.status(409).json({
+					error: "This email already has an account, invite them instead",
+				});
+			}
+		}
+
+		const membership = await createPlaceholderMember(groupId, {
+			firstName: firstName.trim(),
+			lastName,
+			email,
+		});
+
+		const member = {
+			id: membership.user.id,
+			firstName: membership.user.firstName,
+			lastName: membership.user.lastName,
+			email: membership.user.placeholderEmail,
+			profileImage: null,
+			isPlaceholder: true,
+			role: membership.role,
+			joinedAt: membership.joinedAt,
+		};
+
+		// Emit real-time update
+		req.io.to(`group:${groupId}`).emit("member-joined", {
+			groupId,
+			user: member,
+		});
+
+		await recordActivity({
+			groupId,
+			actorId: req.user.id,
+			type: "member-joined",
+			data: {
+				userId: member.id,
+				userName: [member.firstName, member.lastName].filter(Boolean).join(" "),
+				via: "placeholder",
+			},
+		});
+
+		res.status(201).json({
+			message: "Placeholder member added successfully",
+			member,
+		});
+	} catch (error) {
+		console.error("Add placeholder member error:", error);
+		res
+			.status(500)
+			.json({ error: "An error occurred while adding the placeholder member" });
+	}
+};
+
+// Get the invitations sent for a group, pending ones unless ?includeExpired=true
+export const getGroupInvites = async (req, res) => {
+	try {
+		const { groupId } = req.params;
+		const includeExpired = req.query.includeExpired === "true";
+
+		const invites = await prisma.groupInvite.findMany({
 			where: {
-				userId_groupId: {
-					userId,
-					groupId,
+				groupId,
+				...(!includeExpired && { expiresAt: { gt: new Date() } }),
+			},
+			include: {
+				group: true,
+				inviter: {
+					select: {
+						id: true,
+						firstName: true,
+						lastName: true,
+					},
 				},
 			},
+			orderBy: { createdAt: "desc" },
 		});
 
-		if (!requesterMembership || requesterMembership.role !== "admin") {
-			return res
-				.status(403)
-				.json({ error: "Only group admins can update member roles" });
+		res.json({
+			invites: invites.map((invite) => ({
+				...formatInvite(invite),
+				inviter: invite.inviter,
+				expired: invite.expiresAt <= new Date(),
+			})),
+		});
+	} catch (error) {
+		console.error("Get group invites error:", error);
+		res
+			.status(500)
+			.json({ error: "An error occurred while fetching invitations" });
+	}
+};
+
+// Get pending invitations sent to the signed-in user's email
+export const getMyInvites = async (req, res) => {
+	try {
+		const invites = await prisma.groupInvite.findMany({
+			where: {
+				email: { equals: req.user.email, mode: "insensitive" },
+				expiresAt: { gt: new Date() },
+			},
+			include: {
+				group: {
+					select: {
+						id: true,
+						name: true,
+						description: true,
+					},
+				},
+				inviter: {
+					select: {
+						id: true,
+						firstName: true,
+						lastName: true,
+					},
+				},
+			},
+			orderBy: { createdAt: "desc" },
+		});
+
+		// The invitee gets the token so they can accept or decline in the app
+		res.json({
+			invites: invites.map((invite) => ({
+				id: invite.id,
+				token: invite.token,
+				expiresAt: invite.expiresAt,
+				createdAt: invite.createdAt,
+				group: invite.group,
+				inviter: invite.inviter,
+			})),
+		});
+	} catch (error) {
+		console.error("Get my invites error:", error);
+		res
+			.status(500)
+			.json({ error: "An error occurred while fetching your invitations" });
+	}
+};
+
+// Decline an invitation sent to the signed-in user
+export const declineInvitation = async (req, res) => {
+	try {
+		const { token } = req.params;
+
+		const invite = await prisma.groupInvite.findUnique({
+			where: { token },
+			include: { group: true },
+		});
+
+		if (!invite) {
+			return res.status(404).json({ error: "Invalid invitation token" });
+		}
+
+		// Verify user email matches invited email
+		if (req.user.email.toLowerCase() !== invite.email.toLowerCase()) {
+			return res.status(403).json({
+				error: "This invitation was sent to a different email address",
+			});
+		}
+
+		await prisma.groupInvite.delete({ where: { id: invite.id } });
+
+		// Let the member who sent it know
+		req.io.to(`user:${invite.inviterId}`).emit("invite-declined", {
+			inviteId: invite.id,
+			email: invite.email,
+			groupId: invite.groupId,
+			groupName: invite.group.name,
+		});
+
+		res.json({ message: "Invitation declined successfully" });
+	} catch (error) {
+		console.error("Decline invitation error:", error);
+		res
+			.status(500)
+			.json({ error: "An error occurred while declining the invitation" });
+	}
+};
+
+// Email a pending invitation again with a fresh link and expiry
+export const resendInvitation = async (req, res) => {
+	try {
+		const { groupId, inviteId } = req.params;
+
+		const existingInvite = await prisma.groupInvite.findFirst({
+			where: { id: inviteId, groupId },
+		});
+
+		if (!existingInvite) {
+			return res.status(404).json({ error: "Invitation not found" });
+		}
+
+		const invite = await resendInvite(inviteId);
+
+		res.json({
+			message: "Invitation resent successfully",
+			invite: formatInvite(invite),
+		});
+	} catch (error) {
+		console.error("Resend invitation error:", error);
+		res
+			.status(500)
+			.json({ error: "An error occurred while resending the invitation" });
+	}
+};
+
+// Revoke a pending invitation so its link stops working
+export const revokeInvitation = async (req, res) => {
+	try {
+		const { groupId, inviteId } = req.params;
+
+		const invite = await prisma.groupInvite.findFirst({
+			where: { id: inviteId, groupId },
+		});
+
+		if (!invite) {
+			return res.status(404).json({ error: "Invitation not found" });
+		}
+
+		await prisma.groupInvite.delete({ where: { id: inviteId } });
+
+		res.json({ message: "Invitation revoked successfully" });
+	} catch (error) {
+		console.error("Revoke invitation error:", error);
+		res
+			.status(500)
+			.json({ error: "An error occurred while revoking the invitation" });
+	}
+};
+
+// Update a member's role. Members can only change the roles of people below
+// them and can't hand out a role above their own, so only owners can make or
+// demote owners.
+export const updateMemberRole = async (req, res) => {
+	try {
+		const { groupId, memberId } = req.params;
+		const { role } = req.body;
+		const requesterMembership = req.groupMembership;
+
+		if (!GROUP_ROLES.includes(role)) {
+			return res.status(400).json({
+				error: `Invalid role. Must be one of: ${GROUP_ROLES.join(", ")}`,
+			});
 		}
 
 		// Find the target member
@@ -427,6 +790,7 @@ export const updateMemberRole = async (req, res) => {
 						firstName: true,
 						lastName: true,
 						email: true,
+						isPlaceholder: true,
 					},
 				},
 			},
@@ -436,6 +800,41 @@ export const updateMemberRole = async (req, res) => {
 			return res.status(404).json({ error: "Member not found in this group" });
 		}
 
+		const isOwner = requesterMembership.role === "owner";
+		const isSelf = targetMembership.userId === requesterMembership.userId;
+
+		if (
+			!isOwner &&
+			(isSelf ||
+				hasRole(targetMembership.role, requesterMembership.role) ||
+				!hasRole(requesterMembership.role, role))
+		) {
+			return res.status(403).json({
+				error:
+					"You can only change the roles of members below you, up to your own role",
+			});
+		}
+
+		if (hasRole(role, "admin") && targetMembership.user.isPlaceholder) {
+			return res.status(400).json({
+				error: "Placeholder members can only be members or viewers",
+			});
+		}
+
+		// A group always keeps at least one owner
+		if (targetMembership.role === "owner" && role !== "owner") {
+			const ownerCount = await prisma.groupMember.count({
+				where: { groupId, role: "owner" },
+			});
+
+			if (ownerCount <= 1) {
+				return res.status(400).json({
+					error:
+						"Cannot demote the last owner. Make another member an owner first.",
+				});
+			}
+		}
+
 		// Update role
 		const updatedMembership = await prisma.groupMember.update({
 			where: {
@@ -456,6 +855,18 @@ export const updateMemberRole = async (req, res) => {
 			},
 		});
 
+		await recordActivity({
+			groupId,
+			actorId: requesterMembership.userId,
+			type: "member-role-updated",
+			data: {
+				userId: updatedMembership.user.id,
+				userName: `${updatedMembership.user.firstName} ${updatedMembership.user.lastName}`,
+				previousRole: targetMembership.role,
+				role,
+			},
+		});
+
 		res.json({
 			message: `Member role updated to ${role}`,
 			member: {
@@ -474,49 +885,22 @@ export const updateMemberRole = async (req, res) => {
 	}
 };
 
-// Remove a member from a group
+// Remove a member from a group. Removing yourself is the same as leaving it.
 export const removeMember = async (req, res) => {
 	try {
 		const { groupId, memberId } = req.params;
 		const userId = req.user.id;
+		const requesterMembership = req.groupMembership;
 
-		// Check if requester is an admin or the member themselves
-		const requesterMembership = await prisma.groupMember.findUnique({
-			where: {
-				userId_groupId: {
-					userId,
-					groupId,
-				},
-			},
-		});
-
-		const isSelfRemoval = userId === memberId;
+		if (userId === memberId) {
+			return leaveGroup(req, res);
+		}
 
-		if (
-			!requesterMembership ||
-			(!isSelfRemoval && requesterMembership.role !== "admin")
-		) {
+		if (!req.groupPermissions.manageMembers) {
 			return res.status(403).json({
 				error:
-					"You must be an admin to remove other members or can only remove yourself",
-			});
-		}
-
-		// Check if there would be at least one admin left after removal
-		if (requesterMembership.role === "admin" && isSelfRemoval) {
-			const adminCount = await prisma.groupMember.count({
-				where: {
-					groupId,
-					role: "admin",
-				},
+					"You must be able to manage members to remove others or can only remove yourself",
 			});
-
-			if (adminCount <= 1) {
-				return res.status(400).json({
-					error:
-						"Cannot remove the last admin. Promote another member to admin first.",
-				});
-			}
 		}
 
 		// Find the target member
@@ -531,6 +915,16 @@ export const removeMember = async (req, res) => {
 			return res.status(404).json({ error: "Member not found in this group" });
 		}
 
+		// Owners can remove anyone, everyone else only members below them
+		if (
+			requesterMembership.role !== "owner" &&
+			hasRole(targetMembership.role, requesterMembership.role)
+		) {
+			return res
+				.status(403)
+				.json({ error: "You can only remove members below your own role" });
+		}
+
 		// Remove member
 		await prisma.groupMember.delete({
 			where: {
@@ -538,11 +932,14 @@ export const removeMember = async (req, res) => {
 			},
 		});
 
-		const message = isSelfRemoval
-			? "You have left the group"
-			: "Member removed successfully";
+		await recordActivity({
+			groupId,
+			actorId: userId,
+			type: "member-removed",
+			data: { userId: memberId },
+		});
 
-		res.json({ message });
+		res.json({ message: "Member removed successfully" });
 	} catch (error) {
 		console.error("Remove member error:", error);
 		res
@@ -551,26 +948,213 @@ export const removeMember = async (req, res) => {
 	}
 };
 
-// Delete a group (admin only)
-export const deleteGroup = async (req, res) => {
+// Leave a group. Members with a non-zero balance must settle up first or
+// pass { "acknowledgeBalance": true }. The last owner hands ownership to
+// { "newOwnerId" } or the longest-standing member.
+export const leaveGroup = async (req, res) => {
 	try {
 		const { groupId } = req.params;
+		const { acknowledgeBalance = false, newOwnerId } = req.body;
 		const userId = req.user.id;
+		const membership = req.groupMembership;
 
-		// Check if requester is an admin
-		const membership = await prisma.groupMember.findUnique({
-			where: {
-				userId_groupId: {
-					userId,
-					groupId,
-				},
+		const { currency, balances } = await getGroupBalanceSheet(groupId);
+		const ownBalance = balances.find((balance) => balance.user.id === userId);
+
+		if (
+			ownBalance &&
+			!isSettledBalance(ownBalance.balance) &&
+			!acknowledgeBalance
+		) {
+			return res.status(409).json({
+				error:
+					ownBalance.balance > 0
+						? "You are still owed money in this group. Settle up or acknowledge the balance to leave."
+						: "You still owe money in this group. Settle up or acknowledge the balance to leave.",
+				balance: fromMinorUnits(ownBalance.balance, currency),
+				currency,
+			});
+		}
+
+		// Hand ownership over if nobody else has it
+		let newOwner = null;
+
+		if (membership.role === "owner") {
+			const otherOwnerCount = await prisma.groupMember.count({
+				where: { groupId, role: "owner", userId: { not: userId } },
+			});
+
+			if (otherOwnerCount === 0) {
+				newOwner = await prisma.groupMember.findFirst({
+					where: {
+						groupId,
+						userId: newOwnerId || { not: userId },
+						user: { isPlaceholder: false },
+					},
+					orderBy: { joinedAt: "asc" },
+				});
+
+				if (!newOwner || newOwner.userId === userId) {
+					return res.status(400).json({
+						error: newOwnerId
+							? "The new owner must be another member of this group"
+							: "You are the only member with an account. Delete the group instead.",
+					});
+				}
+			}
+		}
+
+		await prisma.$transaction(async (tx) => {
+			if (newOwner) {
+				await tx.groupMember.update({
+					where: { id: newOwner.id },
+					data: { role: "owner" },
+				});
+			}
+
+			await tx.groupMember.delete({ where: { id: membership.id } });
+		});
+
+		// Emit real-time update
+		req.io.to(`group:${groupId}`).emit("member-left", {
+			groupId,
+			userId,
+			userName: `${req.user.firstName} ${req.user.lastName}`,
+			balance: ownBalance ? fromMinorUnits(ownBalance.balance, currency) : 0,
+			currency,
+			newOwnerId: newOwner ? newOwner.userId : null,
+		});
+
+		await recordActivity({
+			groupId,
+			actorId: userId,
+			type: "member-left",
+			data: {
+				userId,
+				userName: `${req.user.firstName} ${req.user.lastName}`,
+				balance: ownBalance ? ownBalance.balance : 0,
+				currency,
+				newOwnerId: newOwner ? newOwner.userId : null,
 			},
 		});
 
-		if (!membership || membership.role !== "admin") {
+		res.json({
+			message: "You have left the group",
+			newOwnerId: newOwner ? newOwner.userId : null,
+		});
+	} catch (error) {
+		console.error("Leave group error:", error);
+		res
+			.status(500)
+			.json({ error: "An error occurred while leaving the group" });
+	}
+};
+
+// Archive a group. It becomes read-only and disappears from group lists
+// until it is unarchived.
+export const archiveGroup = async (req, res) => {
+	try {
+		const { groupId } = req.params;
+
+		if (req.group.archivedAt) {
+			return res.status(409).json({ error: "Group is already archived" });
+		}
+
+		const archivedGroup = await prisma.group.update({
+			where: { id: groupId },
+			data: { archivedAt: new Date() },
+		});
+
+		// Emit real-time update
+		req.io.to(`group:${groupId}`).emit("group-archived", {
+			groupId,
+			...formatArchiveStatus(archivedGroup),
+		});
+
+		await recordActivity({
+			groupId,
+			actorId: req.user.id,
+			type: "group-archived",
+		});
+
+		res.json({
+			message: "Group archived",
+			group: { id: archivedGroup.id, ...formatArchiveStatus(archivedGroup) },
+		});
+	} catch (error) {
+		console.error("Archive group error:", error);
+		res
+			.status(500)
+			.json({ error: "An error occurred while archiving the group" });
+	}
+};
+
+// Restore an archived group
+export const unarchiveGroup = async (req, res) => {
+	try {
+		const { groupId } = req.params;
+
+		if (!req.group.archivedAt) {
+			return res.status(409).json({ error: "Group is not archived" });
+		}
+
+		const restoredGroup = await prisma.group.update({
+			where: { id: groupId },
+			data: { archivedAt: null },
+		});
+
+		// Emit real-time update
+		req.io.to(`group:${groupId}`).emit("group-unarchived", { groupId });
+
+		await recordActivity({
+			groupId,
+			actorId: req.user.id,
+			type: "group-unarchived",
+		});
+
+		res.json({
+			message: "Group restored",
+			group: { id: restoredGroup.id, ...formatArchiveStatus(restoredGroup) },
+		});
+	} catch (error) {
+		console.error("Unarchive group error:", error);
+		res
+			.status(500)
+			.json({ error: "An error occurred while restoring the group" });
+	}
+};
+
+// Permanently delete a group. Only groups that have been archived for the
+// grace period and whose balances are all settled can be deleted.
+export const deleteGroup = async (req, res) => {
+	try {
+		const { groupId } = req.params;
+		const deletableAt = getGroupDeletableAt(req.group);
+
+		if (!deletableAt) {
 			return res
-				.status(403)
-				.json({ error: "Only group admins can delete a group" });
+				.status(409)
+				.json({ error: "Archive the group before deleting it" });
+		}
+
+		if (new Date() < deletableAt) {
+			return res.status(409).json({
+				error: "The group can only be deleted once the grace period has passed",
+				deletableAt,
+			});
+		}
+
+		const { currency, balances } = await getUnsettledBalances(groupId);
+
+		if (balances.length > 0) {
+			return res.status(409).json({
+				error: "All balances must be settled before the group can be deleted",
+				currency,
+				balances: balances.map((balance) => ({
+					user: balance.user,
+					balance: fromMinorUnits(balance.balance, currency),
+				})),
+			});
 		}
 
 		// Delete group (will cascade delete members and invites)
@@ -578,6 +1162,9 @@ export const deleteGroup = async (req, res) => {
 			where: { id: groupId },
 		});
 
+		// Emit real-time update
+		req.io.to(`group:${groupId}`).emit("group-deleted", { groupId });
+
 		res.json({ message: "Group deleted successfully" });
 	} catch (error) {
 		console.error("Delete group error:", error);
@@ -591,23 +1178,26 @@ export const deleteGroup = async (req, res) => {
 export const updateGroup = async (req, res) => {
 	try {
 		const { groupId } = req.params;
-		const { name, description } = req.body;
-		const userId = req.user.id;
+		const { name, description, currency, requireJoinApproval } = req.body;
 
-		// Check if requester is an admin
-		const membership = await prisma.groupMember.findUnique({
-			where: {
-				userId_groupId: {
-					userId,
-					groupId,
-				},
-			},
-		});
-
-		if (!membership || membership.role !== "admin") {
+		if (currency && currencySchema.validate(currency).error) {
 			return res
-				.status(403)
-				.json({ error: "Only group admins can update group details" });
+				.status(400)
+				.json({ error: "Currency must be a 3-letter ISO 4217 code" });
+		}
+
+		// Stored exchange rates point at the current base currency, so it
+		// can only change while the group has no expenses
+		if (currency) {
+			const expenseCount = await prisma.expense.count({
+				where: { groupId },
+			});
+
+			if (expenseCount > 0) {
+				return res.status(400).json({
+					error: "The base currency cannot be changed once a group has expenses",
+				});
+			}
 		}
 
 		// Update group
@@ -616,6 +1206,22 @@ export const updateGroup = async (req, res) => {
 			data: {
 				name,
 				description,
+				...(currency && { currency: normalizeCurrency(currency) }),
+				...(typeof requireJoinApproval === "boolean" && {
+					requireJoinApproval,
+				}),
+			},
+		});
+
+		await recordActivity({
+			groupId,
+			actorId: req.user.id,
+			type: "group-updated",
+			data: {
+				name: updatedGroup.name,
+				description: updatedGroup.description,
+				currency: updatedGroup.currency,
+				requireJoinApproval: updatedGroup.requireJoinApproval,
 			},
 		});
 
@@ -626,6 +1232,8 @@ export const updateGroup = async (req, res) => {
 				name: updatedGroup.name,
 				description: updatedGroup.description,
 				code: updatedGroup.code,
+				currency: updatedGroup.currency,
+				requireJoinApproval: updatedGroup.requireJoinApproval,
 				updatedAt: updatedGroup.updatedAt,
 			},
 		});
@@ -637,28 +1245,153 @@ export const updateGroup = async (req, res) => {
 	}
 };
 
-// Generate a new invite code
-export const refreshGroupCode = async (req, res) => {
+// Get the group's permission settings and what the current member may do
+export const getGroupPermissions = async (req, res) => {
+	try {
+		res.json({
+			role: req.groupMembership.role,
+			roles: GROUP_ROLES,
+			settings: getGroupPermissionRoles(req.group),
+			permissions: req.groupPermissions,
+		});
+	} catch (error) {
+		console.error("Get group permissions error:", error);
+		res
+			.status(500)
+			.json({ error: "An error occurred while fetching group permissions" });
+	}
+};
+
+// Change which roles may add expenses, edit others' expenses, invite and
+// manage bills, e.g. { "addExpenses": "admin", "invite": "member" }
+export const updateGroupPermissions = async (req, res) => {
 	try {
 		const { groupId } = req.params;
-		const userId = req.user.id;
+		const changes = req.body || {};
 
-		// Check if requester is an admin
-		const membership = await prisma.groupMember.findUnique({
-			where: {
-				userId_groupId: {
-					userId,
-					groupId,
-				},
+		for (const [permission, role] of Object.entries(changes)) {
+			if (!(permission in DEFAULT_GROUP_PERMISSIONS)) {
+				return res.status(400).json({
+					error: `Unknown permission: ${permission}. Must be one of: ${Object.keys(
+						DEFAULT_GROUP_PERMISSIONS
+					).join(", ")}`,
+				});
+			}
+
+			if (!GROUP_ROLES.includes(role)) {
+				return res.status(400).json({
+					error: `Invalid role for ${permission}. Must be one of: ${GROUP_ROLES.join(
+						", "
+					)}`,
+				});
+			}
+		}
+
+		const updatedGroup = await prisma.group.update({
+			where: { id: groupId },
+			data: {
+				permissions: { ...(req.group.permissions || {}), ...changes },
 			},
 		});
+		const settings = getGroupPermissionRoles(updatedGroup);
 
-		if (!membership || membership.role !== "admin") {
-			return res
-				.status(403)
-				.json({ error: "Only group admins can refresh the invite code" });
+		// Emit real-time update
+		req.io.to(`group:${groupId}`).emit("group-permissions-updated", {
+			groupId,
+			settings,
+		});
+
+		await recordActivity({
+			groupId,
+			actorId: req.user.id,
+			type: "group-permissions-updated",
+			data: { changes },
+		});
+
+		res.json({
+			message: "Group permissions updated",
+			settings,
+		});
+	} catch (error) {
+		console.error("Update group permissions error:", error);
+		res
+			.status(500)
+			.json({ error: "An error occurred while updating group permissions" });
+	}
+};
+
+// Get the group's settings with defaults filled in
+export const getSettings = async (req, res) => {
+	try {
+		res.json({ settings: getGroupSettings(req.group) });
+	} catch (error) {
+		console.error("Get group settings error:", error);
+		res
+			.status(500)
+			.json({ error: "An error occurred while fetching group settings" });
+	}
+};
+
+// Change the group's defaults for new expenses, its timezone and reminder
+// preferences. Only the settings in the body change.
+export const updateSettings = async (req, res) => {
+	try {
+		const { groupId } = req.params;
+		const changes = { ...req.body };
+
+		if (changes.defaultCurrency) {
+			changes.defaultCurrency = normalizeCurrency(changes.defaultCurrency);
+		}
+
+		const storedSettings = mergeGroupSettings(req.group.settings, changes);
+		const settings = getGroupSettings({ settings: storedSettings });
+
+		// The default split has to work with the current members
+		const members = await prisma.groupMember.findMany({
+			where: { groupId },
+			select: { userId: true },
+		});
+		const splitError = getDefaultSplitError(
+			settings,
+			members.map((member) => member.userId)
+		);
+
+		if (splitError) {
+			return res.status(400).json({ error: splitError });
 		}
 
+		await prisma.group.update({
+			where: { id: groupId },
+			data: { settings: storedSettings },
+		});
+
+		// Emit real-time update
+		req.io.to(`group:${groupId}`).emit("group-settings-updated", {
+			groupId,
+			settings,
+		});
+
+		await recordActivity({
+			groupId,
+			actorId: req.user.id,
+			type: "group-settings-updated",
+			data: { changes },
+		});
+
+		res.json({ message: "Group settings updated", settings });
+	} catch (error) {
+		console.error("Update group settings error:", error);
+		res
+			.status(500)
+			.json({ error: "An error occurred while updating group settings" });
+	}
+};
+
+// Generate a new invite code
+export const refreshGroupCode = async (req, res) => {
+	try {
+		const { groupId } = req.params;
+
 		// Generate new code
 		const newCode = generateGroupCode();
 
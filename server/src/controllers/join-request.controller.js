@@ -0,0 +1,139 @@
+// src/controllers/join-request.controller.js
+import prisma from "../db.js";
+import {
+	formatJoinRequest,
+	joinRequestInclude,
+} from "../services/join-request.service.js";
+import { recordActivity } from "../services/activity.service.js";
+
+// Get join requests for a group, pending ones unless ?status is given
+export const getJoinRequests = async (req, res) => {
+	try {
+		const { groupId } = req.params;
+		const { status = "pending" } = req.query;
+
+		const requests = await prisma.joinRequest.findMany({
+			where: { groupId, status },
+			include: joinRequestInclude,
+			orderBy: { createdAt: "asc" },
+		});
+
+		res.json({ requests: requests.map(formatJoinRequest) });
+	} catch (error) {
+		console.error("Get join requests error:", error);
+		res
+			.status(500)
+			.json({ error: "An error occurred while fetching join requests" });
+	}
+};
+
+/**
+ * Approve or reject a pending join request as a group admin
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} status - "approved" or "rejected"
+ */
+const resolveJoinRequest = async (req, res, status) => {
+	const { groupId, requestId } = req.params;
+	const userId = req.user.id;
+
+	const request = await prisma.joinRequest.findFirst({
+		where: { id: requestId, groupId },
+	});
+
+	if (!request) {
+		return res.status(404).json({ error: "Join request not found" });
+	}
+
+	if (request.status !== "pending") {
+		return res
+			.status(400)
+			.json({ error: `Join request has already been ${request.status}` });
+	}
+
+	const resolvedRequest = await prisma.$transaction(async (tx) => {
+		// The user may have joined through an invite in the meantime
+		if (status === "approved") {
+			await tx.groupMember.upsert({
+				where: {
+					userId_groupId: {
+						userId: request.userId,
+						groupId,
+					},
+				},
+				create: {
+					userId: request.userId,
+					groupId,
+					role: "member",
+				},
+				update: {},
+			});
+		}
+
+		return tx.joinRequest.update({
+			where: { id: requestId },
+			data: {
+				status,
+				resolvedAt: new Date(),
+				resolvedById: userId,
+			},
+			include: joinRequestInclude,
+		});
+	});
+
+	const formattedRequest = formatJoinRequest(resolvedRequest);
+
+	// Tell the requester, and the group when someone new joins
+	req.io
+		.to(`user:${request.userId}`)
+		.emit(
+			status === "approved" ? "join-request-approved" : "join-request-rejected",
+			formattedRequest
+		);
+	if (status === "approved") {
+		req.io.to(`group:${groupId}`).emit("member-joined", {
+			groupId,
+			user: resolvedRequest.user,
+		});
+
+		await recordActivity({
+			groupId,
+			actorId: userId,
+			type: "member-joined",
+			data: {
+				userId: request.userId,
+				userName: `${resolvedRequest.user.firstName} ${resolvedRequest.user.lastName}`,
+				via: "request",
+			},
+		});
+	}
+
+	res.json({
+		message: `Join request ${status} successfully`,
+		request: formattedRequest,
+	});
+};
+
+// Approve a pending join request
+export const approveJoinRequest = async (req, res) => {
+	try {
+		await resolveJoinRequest(req, res, "approved");
+	} catch (error) {
+		console.error("Approve join request error:", error);
+		res
+			.status(500)
+			.json({ error: "An error occurred while approving the join request" });
+	}
+};
+
+// Reject a pending join request
+export const rejectJoinRequest = async (req, res) => {
+	try {
+		await resolveJoinRequest(req, res, "rejected");
+	} catch (error) {
+		console.error("Reject join request error:", error);
+		res
+			.status(500)
+			.json({ error: "An error occurred while rejecting the join request" });
+	}
+};
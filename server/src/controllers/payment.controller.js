@@ -1,28 +1,98 @@
 // src/controllers/payment.controller.js
 import {
 	createPaymentIntent,
-	markShareAsPaid,
+	createBundlePaymentIntent,
+	refundShare,
 	getUserUnpaidShares,
 	sendPaymentReminders,
+	getOutstandingAmount,
+	getShareAttempts,
+	getPaymentHistory,
+	getPaymentReceipt,
 } from "../services/payment.service.js";
-import Stripe from "stripe";
-import dotenv from "dotenv";
+import {
+	notifyPaymentReversed,
+	processWebhookEvent,
+	recordWebhookEvent,
+} from "../services/webhook.service.js";
+import { fromMinorUnits } from "../utils/money.utils.js";
+import { normalizeCurrency } from "../utils/currency.utils.js";
+import { renderReceiptHtml } from "../utils/receipt.utils.js";
+import { getPaymentProvider } from "../services/payment-providers/index.js";
+import { hasGroupPermission } from "../utils/permission.utils.js";
+import prisma from "../db.js";
+
+/**
+ * Format a payment record for API responses
+ * @param {Object} payment - Share payment
+ * @param {string} currency - Expense currency
+ * @returns {Object} - Payment with a decimal amount
+ */
+const formatPayment = (payment, currency) => ({
+	id: payment.id,
+	amount: fromMinorUnits(payment.amount, currency),
+	method: payment.method,
+	paymentIntentId: payment.paymentIntentId,
+	settlementId: payment.settlementId,
+	bundleId: payment.bundleId,
+	refundedAmount: fromMinorUnits(payment.refundedAmount, currency),
+	status: payment.status,
+	createdAt: payment.createdAt,
+});
 
-dotenv.config();
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
-const endpointSecret = process.env.STRIPE_WEBHOOK_SECRET;
+/**
+ * Format a payment attempt for API responses
+ * @param {Object} attempt - Payment attempt
+ * @returns {Object} - Attempt with a decimal amount
+ */
+const formatAttempt = (attempt) => ({
+	id: attempt.id,
+	paymentIntentId: attempt.paymentIntentId,
+	bundleId: attempt.bundleId,
+	amount: fromMinorUnits(attempt.amount, attempt.currency),
+	currency: attempt.currency,
+	status: attempt.status,
+	failureCode: attempt.failureCode,
+	failureMessage: attempt.failureMessage,
+	createdAt: attempt.createdAt,
+	succeededAt: attempt.succeededAt,
+	failedAt: attempt.failedAt,
+});
+
+/**
+ * Format a payment history entry for API responses
+ * @param {Object} entry - History entry in minor units
+ * @returns {Object} - Entry with decimal amounts
+ */
+const formatHistoryEntry = (entry) => ({
+	...entry,
+	amount: fromMinorUnits(entry.amount, entry.currency),
+	refundedAmount: fromMinorUnits(entry.refundedAmount, entry.currency),
+	share: {
+		...entry.share,
+		amount: fromMinorUnits(entry.share.amount, entry.currency),
+		paidAmount: fromMinorUnits(entry.share.paidAmount, entry.currency),
+	},
+});
 
 // Create a payment intent
 export const initiatePayment = async (req, res) => {
 	try {
-		const { expenseId } = req.body;
+		const { expenseId, amount } = req.body;
 		const userId = req.user.id;
 
 		if (!expenseId) {
 			return res.status(400).json({ error: "Expense ID is required" });
 		}
 
-		const paymentIntent = await createPaymentIntent(userId, expenseId);
+		// An optional amount pays off part of the share
+		if (amount !== undefined && (typeof amount !== "number" || !(amount > 0))) {
+			return res
+				.status(400)
+				.json({ error: "Amount must be a positive number" });
+		}
+
+		const paymentIntent = await createPaymentIntent(userId, expenseId, amount);
 
 		res.json({
 			message: "Payment initiated successfully",
@@ -36,61 +106,111 @@ export const initiatePayment = async (req, res) => {
 	}
 };
 
+// Pay every unpaid share owed to one member with a single payment intent
+export const initiateBundlePayment = async (req, res) => {
+	try {
+		const { payeeId, groupId, currency } = req.body;
+		const userId = req.user.id;
+
+		if (!payeeId) {
+			return res.status(400).json({ error: "Payee ID is required" });
+		}
+
+		if (payeeId === userId) {
+			return res.status(400).json({ error: "You cannot pay yourself" });
+		}
+
+		// Bundles can cover every group, so check settleUp in each one
+		const memberships = await prisma.groupMember.findMany({
+			where: {
+				userId,
+				...(groupId && { groupId }),
+			},
+			include: { group: true },
+		});
+
+		if (groupId && memberships.length === 0) {
+			return res
+				.status(403)
+				.json({ error: "You are not a member of this group" });
+		}
+
+		const groupIds = memberships
+			.filter(({ group, ...membership }) =>
+				hasGroupPermission(membership, group, "settleUp")
+			)
+			.map((membership) => membership.groupId);
+
+		if (groupId && groupIds.length === 0) {
+			return res.status(403).json({
+				error: `Your role (${memberships[0].role}) does not allow this action in this group`,
+			});
+		}
+
+		const paymentIntent = await createBundlePaymentIntent(userId, payeeId, {
+			groupId,
+			groupIds,
+			currency: currency && normalizeCurrency(currency),
+		});
+
+		res.json({
+			message: "Payment initiated successfully",
+			paymentIntent,
+		});
+	} catch (error) {
+		console.error("Initiate bundle payment error:", error);
+		res.status(500).json({
+			error: error.message || "An error occurred while initiating payment",
+		});
+	}
+};
+
 // Handle Stripe webhook events
 export const handleStripeWebhook = async (req, res) => {
 	const sig = req.headers["stripe-signature"];
 	let event;
 
 	try {
-		event = stripe.webhooks.constructEvent(req.body, sig, endpointSecret);
+		event = getPaymentProvider().constructWebhookEvent(req.body, sig);
 	} catch (err) {
 		console.error(`Webhook signature verification failed: ${err.message}`);
 		return res.status(400).send(`Webhook Error: ${err.message}`);
 	}
 
-	// Handle the event
-	switch (event.type) {
-		case "payment_intent.succeeded":
-			const paymentIntent = event.data.object;
-			console.log(`Payment succeeded: ${paymentIntent.id}`);
-
-			try {
-				const updatedShare = await markShareAsPaid(paymentIntent.id);
-
-				// Emit real-time notification
-				req.io
-					.to(`group:${updatedShare.expense.groupId}`)
-					.emit("payment-completed", {
-						expenseId: updatedShare.expenseId,
-						userId: updatedShare.userId,
-						userName: `${updatedShare.user.firstName} ${updatedShare.user.lastName}`,
-						amount: updatedShare.amount,
-					});
-
-				// Also notify the user who made the payment
-				req.io.to(`user:${updatedShare.userId}`).emit("payment-successful", {
-					expenseId: updatedShare.expenseId,
-					amount: updatedShare.amount,
-					description: updatedShare.expense.description,
-				});
-			} catch (error) {
-				console.error("Error updating payment status:", error);
-			}
-			break;
-
-		case "payment_intent.payment_failed":
-			const failedPayment = event.data.object;
-			console.log(`Payment failed: ${failedPayment.id}`);
-
-			// You could update a payment status or notify users here
-			break;
-
-		default:
-			console.log(`Unhandled event type: ${event.type}`);
-	}
+	try {
+		// Stripe retries deliveries, so each event is only processed once
+		const { webhookEvent, duplicate } = await recordWebhookEvent(event);
+
+		if (duplicate) {
+			console.log(`Skipping duplicate webhook event: ${event.id}`);
+			return res.send({ received: true, duplicate: true });
+		}
+
+		const processedEvent = await processWebhookEvent(webhookEvent, req.io);
+
+		// Another delivery is processing it; Stripe retries later if that fails
+		if (!processedEvent) {
+			console.log(`Webhook event already processing: ${event.id}`);
+			return res
+				.status(409)
+				.send({ received: true, error: "Event is already being processed" });
+		}
+
+		// A failed event is retried by Stripe and can be replayed by an admin
+		if (processedEvent.status === "failed") {
+			return res
+				.status(500)
+				.send({ received: true, error: processedEvent.error });
+		}
 
-	// Return a 200 response to acknowledge receipt of the event
-	res.send({ received: true });
+		// Return a 200 response to acknowledge receipt of the event
+		res.send({ received: true });
+	} catch (error) {
+		console.error("Webhook processing error:", error);
+		res
+			.status(500)
+			.send({ error: "An error occurred while processing the event" });
+	}
 };
 
 // Get all unpaid expense shares for a user
@@ -99,7 +219,22 @@ export const getUnpaidShares = async (req, res) => {
 		const userId = req.user.id;
 		const unpaidShares = await getUserUnpaidShares(userId);
 
-		res.json({ unpaidShares });
+		// Convert stored minor units into decimal amounts
+		res.json({
+			unpaidShares: unpaidShares.map((share) => ({
+				...share,
+				amount: fromMinorUnits(share.amount, share.expense.currency),
+				paidAmount: fromMinorUnits(share.paidAmount, share.expense.currency),
+				outstanding: fromMinorUnits(share.outstanding, share.expense.currency),
+				payments: share.payments.map((payment) =>
+					formatPayment(payment, share.expense.currency)
+				),
+				expense: {
+					...share.expense,
+					amount: fromMinorUnits(share.expense.amount, share.expense.currency),
+				},
+			})),
+		});
 	} catch (error) {
 		console.error("Get unpaid shares error:", error);
 		res.status(500).json({
@@ -108,6 +243,89 @@ export const getUnpaidShares = async (req, res) => {
 	}
 };
 
+// Get payments the user has made or received, e.g.
+// ?direction=sent&groupId=...&counterpartyId=...&from=2025-01-01&to=2025-03-31
+export const getHistory = async (req, res) => {
+	try {
+		const userId = req.user.id;
+		const { groupId, counterpartyId, direction } = req.query;
+		const page = req.query.page === undefined ? 1 : parseInt(req.query.page);
+		const requestedLimit =
+			req.query.limit === undefined ? 20 : parseInt(req.query.limit);
+
+		if (!(page >= 1) || !(requestedLimit >= 1)) {
+			return res
+				.status(400)
+				.json({ error: "Page and limit must be positive integers" });
+		}
+
+		const limit = Math.min(requestedLimit, 100);
+
+		if (direction && !["sent", "received"].includes(direction)) {
+			return res
+				.status(400)
+				.json({ error: "Direction must be either sent or received" });
+		}
+
+		const from = req.query.from ? new Date(req.query.from) : undefined;
+		const to = req.query.to ? new Date(req.query.to) : undefined;
+
+		if ((from && isNaN(from)) || (to && isNaN(to))) {
+			return res.status(400).json({ error: "Invalid date range" });
+		}
+
+		const { payments, total } = await getPaymentHistory(userId, {
+			groupId,
+			counterpartyId,
+			direction,
+			from,
+			to,
+			page,
+			limit,
+		});
+
+		res.json({
+			payments: payments.map(formatHistoryEntry),
+			pagination: {
+				total,
+				page,
+				limit,
+				pages: Math.ceil(total / limit),
+			},
+		});
+	} catch (error) {
+		console.error("Get payment history error:", error);
+		res
+			.status(500)
+			.json({ error: "An error occurred while fetching payment history" });
+	}
+};
+
+// Get a receipt for a payment as HTML, or JSON with ?format=json
+export const getReceipt = async (req, res) => {
+	try {
+		const { paymentId } = req.params;
+		const userId = req.user.id;
+
+		const payment = await getPaymentReceipt(userId, paymentId);
+
+		if (!payment) {
+			return res.status(404).json({ error: "Payment not found" });
+		}
+
+		if (req.query.format === "json") {
+			return res.json({ receipt: formatHistoryEntry(payment) });
+		}
+
+		res.type("html").send(renderReceiptHtml(payment));
+	} catch (error) {
+		console.error("Get payment receipt error:", error);
+		res
+			.status(500)
+			.json({ error: "An error occurred while generating the receipt" });
+	}
+};
+
 // Send payment reminders for a group
 export const sendReminders = async (req, res) => {
 	try {
@@ -140,14 +358,39 @@ export const sendReminders = async (req, res) => {
 			req.io.to(`user:${share.userId}`).emit("payment-reminder", {
 				expenseId: share.expenseId,
 				description: share.expense.description,
-				amount: share.amount,
+				amount: fromMinorUnits(share.outstanding, share.expense.currency),
 				groupId: share.expense.groupId,
 			});
 		});
 
 		res.json({
 			message: `${reminders.length} payment reminders sent successfully`,
-			reminders,
+			reminders: reminders.map((reminder) => {
+				const { expense } = reminder.expenseShare;
+
+				return {
+					...reminder,
+					expenseShare: {
+						...reminder.expenseShare,
+						amount: fromMinorUnits(
+							reminder.expenseShare.amount,
+							expense.currency
+						),
+						paidAmount: fromMinorUnits(
+							reminder.expenseShare.paidAmount,
+							expense.currency
+						),
+						outstanding: fromMinorUnits(
+							reminder.expenseShare.outstanding,
+							expense.currency
+						),
+						expense: {
+							...expense,
+							amount: fromMinorUnits(expense.amount, expense.currency),
+						},
+					},
+				};
+			}),
 		});
 	} catch (error) {
 		console.error("Send payment reminders error:", error);
@@ -156,3 +399,191 @@ export const sendReminders = async (req, res) => {
 			.json({ error: "An error occurred while sending payment reminders" });
 	}
 };
+
+// Get the payment records for an expense share
+export const getSharePayments = async (req, res) => {
+	try {
+		const { shareId } = req.params;
+		const userId = req.user.id;
+
+		const share = await prisma.expenseShare.findUnique({
+			where: { id: shareId },
+			include: {
+				expense: true,
+				payments: {
+					orderBy: { createdAt: "asc" },
+				},
+			},
+		});
+
+		if (!share) {
+			return res.status(404).json({ error: "Expense share not found" });
+		}
+
+		// Check if user is a member of the group
+		const membership = await prisma.groupMember.findUnique({
+			where: {
+				userId_groupId: {
+					userId,
+					groupId: share.expense.groupId,
+				},
+			},
+		});
+
+		if (!membership) {
+			return res
+				.status(403)
+				.json({ error: "You are not a member of this group" });
+		}
+
+		const { currency } = share.expense;
+
+		res.json({
+			shareId: share.id,
+			currency,
+			amount: fromMinorUnits(share.amount, currency),
+			paidAmount: fromMinorUnits(share.paidAmount, currency),
+			outstanding: fromMinorUnits(getOutstandingAmount(share), currency),
+			paid: share.paid,
+			payments: share.payments.map((payment) =>
+				formatPayment(payment, currency)
+			),
+		});
+	} catch (error) {
+		console.error("Get share payments error:", error);
+		res
+			.status(500)
+			.json({ error: "An error occurred while fetching share payments" });
+	}
+};
+
+// Get the card payment attempts for an expense share, including failures
+export const getSharePaymentAttempts = async (req, res) => {
+	try {
+		const { shareId } = req.params;
+		const userId = req.user.id;
+
+		const share = await prisma.expenseShare.findUnique({
+			where: { id: shareId },
+			include: { expense: true },
+		});
+
+		if (!share) {
+			return res.status(404).json({ error: "Expense share not found" });
+		}
+
+		// Check if user is a member of the group
+		const membership = await prisma.groupMember.findUnique({
+			where: {
+				userId_groupId: {
+					userId,
+					groupId: share.expense.groupId,
+				},
+			},
+		});
+
+		if (!membership) {
+			return res
+				.status(403)
+				.json({ error: "You are not a member of this group" });
+		}
+
+		const attempts = await getShareAttempts(shareId);
+
+		res.json({ shareId, attempts: attempts.map(formatAttempt) });
+	} catch (error) {
+		console.error("Get share payment attempts error:", error);
+		res
+			.status(500)
+			.json({ error: "An error occurred while fetching payment attempts" });
+	}
+};
+
+// Start a fresh payment intent after the last attempt for a share failed
+export const retrySharePayment = async (req, res) => {
+	try {
+		const { shareId } = req.params;
+		const { amount } = req.body;
+		const userId = req.user.id;
+
+		if (amount !== undefined && (typeof amount !== "number" || !(amount > 0))) {
+			return res
+				.status(400)
+				.json({ error: "Amount must be a positive number" });
+		}
+
+		const share = await prisma.expenseShare.findUnique({
+			where: { id: shareId },
+		});
+
+		if (!share) {
+			return res.status(404).json({ error: "Expense share not found" });
+		}
+
+		if (share.userId !== userId) {
+			return res
+				.status(403)
+				.json({ error: "You can only retry payments for your own share" });
+		}
+
+		const [lastAttempt] = await getShareAttempts(shareId);
+
+		if (!lastAttempt || lastAttempt.status !== "failed") {
+			return res
+				.status(400)
+				.json({ error: "Only a failed payment can be retried" });
+		}
+
+		const paymentIntent = await createPaymentIntent(
+			userId,
+			share.expenseId,
+			amount
+		);
+
+		res.json({
+			message: "Payment retry initiated successfully",
+			previousAttempt: formatAttempt(lastAttempt),
+			paymentIntent,
+		});
+	} catch (error) {
+		console.error("Retry share payment error:", error);
+		res.status(500).json({
+			error: error.message || "An error occurred while retrying the payment",
+		});
+	}
+};
+
+// Admin: refund card payments made towards a share
+export const refundSharePayment = async (req, res) => {
+	try {
+		const { shareId } = req.params;
+		const { amount } = req.body;
+
+		if (amount !== undefined && (typeof amount !== "number" || !(amount > 0))) {
+			return res
+				.status(400)
+				.json({ error: "Amount must be a positive number" });
+		}
+
+		const { share, refundedAmount } = await refundShare(shareId, amount);
+		const { currency } = share.expense;
+
+		await notifyPaymentReversed(req.io, [share], "payment-refunded");
+
+		res.json({
+			message: "Refund issued successfully",
+			refund: {
+				shareId: share.id,
+				amount: fromMinorUnits(refundedAmount, currency),
+				currency,
+				paidAmount: fromMinorUnits(share.paidAmount, currency),
+				outstanding: fromMinorUnits(getOutstandingAmount(share), currency),
+			},
+		});
+	} catch (error) {
+		console.error("Refund share payment error:", error);
+		res.status(500).json({
+			error: error.message || "An error occurred while issuing the refund",
+		});
+	}
+};
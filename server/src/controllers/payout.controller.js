@@ -0,0 +1,47 @@
+// src/controllers/payout.controller.js
+import {
+	refreshPayoutStatus,
+	startPayoutOnboarding,
+} from "../services/payout.service.js";
+
+// Start or resume onboarding for the account that receives share payments
+export const startOnboarding = async (req, res) => {
+	try {
+		const userId = req.user.id;
+		const clientUrl = process.env.CLIENT_URL || "http://localhost:3000";
+		const {
+			returnUrl = `${clientUrl}/settings/payouts?onboarding=complete`,
+			refreshUrl = `${clientUrl}/settings/payouts?onboarding=refresh`,
+		} = req.body;
+
+		const onboarding = await startPayoutOnboarding(userId, {
+			refreshUrl,
+			returnUrl,
+		});
+
+		res.json({
+			message: "Payout onboarding link created successfully",
+			onboarding,
+		});
+	} catch (error) {
+		console.error("Start payout onboarding error:", error);
+		res.status(500).json({
+			error:
+				error.message || "An error occurred while starting payout onboarding",
+		});
+	}
+};
+
+// Get the current user's payout onboarding status
+export const getPayoutStatus = async (req, res) => {
+	try {
+		const status = await refreshPayoutStatus(req.user.id);
+
+		res.json({ payouts: status });
+	} catch (error) {
+		console.error("Get payout status error:", error);
+		res.status(500).json({
+			error: error.message || "An error occurred while fetching payout status",
+		});
+	}
+};
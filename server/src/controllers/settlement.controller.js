@@ -0,0 +1,321 @@
+// src/controllers/settlement.controller.js
+import prisma from "../db.js";
+import { applySettlementToShares } from "../services/settlement.service.js";
+import { recordActivity } from "../services/activity.service.js";
+import { fromMinorUnits, toMinorUnits } from "../utils/money.utils.js";
+import { hasRole } from "../utils/permission.utils.js";
+
+const userSelect = {
+	id: true,
+	firstName: true,
+	lastName: true,
+};
+
+/**
+ * Format a settlement for API responses
+ * @param {Object} settlement - Settlement including fromUser and toUser
+ * @returns {Object} - Formatted settlement with a decimal amount
+ */
+const formatSettlement = (settlement) => ({
+	id: settlement.id,
+	groupId: settlement.groupId,
+	amount: fromMinorUnits(settlement.amount, settlement.currency),
+	currency: settlement.currency,
+	method: settlement.method,
+	note: settlement.note,
+	status: settlement.status,
+	confirmedAt: settlement.confirmedAt,
+	createdAt: settlement.createdAt,
+	createdById: settlement.createdById,
+	from: settlement.fromUser,
+	to: settlement.toUser,
+});
+
+/**
+ * Summarize a settlement for the group activity log
+ * @param {Object} settlement - Settlement with its amount in minor units
+ * @returns {Object} - Activity data
+ */
+const toSettlementActivity = (settlement) => ({
+	settlementId: settlement.id,
+	fromUserId: settlement.fromUserId,
+	toUserId: settlement.toUserId,
+	amount: settlement.amount,
+	currency: settlement.currency,
+	method: settlement.method,
+	status: settlement.status,
+});
+
+// Record a payment made outside the app, e.g. cash or bank transfer
+export const createSettlement = async (req, res) => {
+	try {
+		const { groupId, toUserId, amount, method, note } = req.body;
+		const userId = req.user.id;
+		const fromUserId = req.body.fromUserId || userId;
+
+		const group = await prisma.group.findUnique({
+			where: { id: groupId },
+			include: {
+				members: { include: { user: { select: { isPlaceholder: true } } } },
+			},
+		});
+
+		if (!group) {
+			return res.status(404).json({ error: "Group not found" });
+		}
+
+		const membership = group.members.find((member) => member.userId === userId);
+
+		if (!membership) {
+			return res
+				.status(403)
+				.json({ error: "You are not a member of this group" });
+		}
+
+		const memberIds = group.members.map((member) => member.userId);
+
+		if (!memberIds.includes(fromUserId) || !memberIds.includes(toUserId)) {
+			return res
+				.status(400)
+				.json({ error: "Both members must belong to this group" });
+		}
+
+		if (fromUserId === toUserId) {
+			return res
+				.status(400)
+				.json({ error: "A member cannot settle up with themselves" });
+		}
+
+		// Only the two members involved or a group admin can record it
+		if (
+			userId !== fromUserId &&
+			userId !== toUserId &&
+			!hasRole(membership.role, "admin")
+		) {
+			return res.status(403).json({
+				error:
+					"Only the members involved or a group admin can record a settlement",
+			});
+		}
+
+		// The receiver recording the payment is confirmation enough. Placeholder
+		// receivers can't sign in to confirm, so the recorder vouches for them
+		const receiver = group.members.find((member) => member.userId === toUserId);
+		const confirmed = userId === toUserId || receiver.user.isPlaceholder;
+
+		const settlement = await prisma.$transaction(async (tx) => {
+			const newSettlement = await tx.settlement.create({
+				data: {
+					groupId,
+					fromUserId,
+					toUserId,
+					createdById: userId,
+					amount: toMinorUnits(amount, group.currency),
+					currency: group.currency,
+					method,
+					note,
+					status: confirmed ? "confirmed" : "pending",
+					confirmedAt: confirmed ? new Date() : null,
+				},
+				include: {
+					fromUser: { select: userSelect },
+					toUser: { select: userSelect },
+				},
+			});
+
+			if (confirmed) {
+				await applySettlementToShares(tx, newSettlement);
+			}
+
+			return newSettlement;
+		});
+
+		const formattedSettlement = formatSettlement(settlement);
+
+		// Emit real-time update, and ask the receiver to confirm if needed
+		req.io.to(`group:${groupId}`).emit("new-settlement", formattedSettlement);
+		if (!confirmed) {
+			req.io
+				.to(`user:${toUserId}`)
+				.emit("settlement-confirmation-requested", formattedSettlement);
+		}
+
+		await recordActivity({
+			groupId,
+			actorId: userId,
+			type: "new-settlement",
+			data: toSettlementActivity(settlement),
+		});
+
+		res.status(201).json({
+			message: "Settlement recorded successfully",
+			settlement: formattedSettlement,
+		});
+	} catch (error) {
+		console.error("Create settlement error:", error);
+		res
+			.status(500)
+			.json({ error: "An error occurred while recording the settlement" });
+	}
+};
+
+// Get settlements recorded in a group
+export const getGroupSettlements = async (req, res) => {
+	try {
+		const { groupId } = req.params;
+		const { status } = req.query;
+		const userId = req.user.id;
+
+		// Check if user is a member of the group
+		const membership = await prisma.groupMember.findUnique({
+			where: {
+				userId_groupId: {
+					userId,
+					groupId,
+				},
+			},
+		});
+
+		if (!membership) {
+			return res
+				.status(403)
+				.json({ error: "You are not a member of this group" });
+		}
+
+		const settlements = await prisma.settlement.findMany({
+			where: {
+				groupId,
+				...(status && { status }),
+			},
+			include: {
+				fromUser: { select: userSelect },
+				toUser: { select: userSelect },
+			},
+			orderBy: { createdAt: "desc" },
+		});
+
+		res.json({ settlements: settlements.map(formatSettlement) });
+	} catch (error) {
+		console.error("Get group settlements error:", error);
+		res
+			.status(500)
+			.json({ error: "An error occurred while fetching settlements" });
+	}
+};
+
+/**
+ * Confirm or reject a pending settlement as its receiver, or on behalf of a
+ * placeholder receiver
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} status - "confirmed" or "rejected"
+ */
+const resolveSettlement = async (req, res, status) => {
+	const { settlementId } = req.params;
+	const userId = req.user.id;
+
+	const settlement = await prisma.settlement.findUnique({
+		where: { id: settlementId },
+		include: { toUser: { select: { isPlaceholder: true } } },
+	});
+
+	if (!settlement) {
+		return res.status(404).json({ error: "Settlement not found" });
+	}
+
+	if (settlement.toUserId !== userId && !settlement.toUser.isPlaceholder) {
+		return res.status(403).json({
+			error:
+				"Only the member who received the money can respond to a settlement",
+		});
+	}
+
+	// Placeholder receivers can't sign in, so the recorder or a group admin
+	// responds for them
+	if (settlement.toUser.isPlaceholder && settlement.createdById !== userId) {
+		const membership = await prisma.groupMember.findUnique({
+			where: {
+				userId_groupId: {
+					userId,
+					groupId: settlement.groupId,
+				},
+			},
+		});
+
+		if (!membership || !hasRole(membership.role, "admin")) {
+			return res.status(403).json({
+				error:
+					"Only the member who recorded it or a group admin can respond for a placeholder member",
+			});
+		}
+	}
+
+	if (settlement.status !== "pending") {
+		return res
+			.status(400)
+			.json({ error: `Settlement has already been ${settlement.status}` });
+	}
+
+	const updatedSettlement = await prisma.$transaction(async (tx) => {
+		const resolved = await tx.settlement.update({
+			where: { id: settlementId },
+			data: {
+				status,
+				...(status === "confirmed" && { confirmedAt: new Date() }),
+			},
+			include: {
+				fromUser: { select: userSelect },
+				toUser: { select: userSelect },
+			},
+		});
+
+		if (status === "confirmed") {
+			await applySettlementToShares(tx, resolved);
+		}
+
+		return resolved;
+	});
+
+	const formattedSettlement = formatSettlement(updatedSettlement);
+
+	// Emit real-time update
+	const event =
+		status === "confirmed" ? "settlement-confirmed" : "settlement-rejected";
+	req.io.to(`group:${settlement.groupId}`).emit(event, formattedSettlement);
+
+	await recordActivity({
+		groupId: settlement.groupId,
+		actorId: userId,
+		type: event,
+		data: toSettlementActivity(updatedSettlement),
+	});
+
+	res.json({
+		message: `Settlement ${status} successfully`,
+		settlement: formattedSettlement,
+	});
+};
+
+// Confirm a pending settlement
+export const confirmSettlement = async (req, res) => {
+	try {
+		await resolveSettlement(req, res, "confirmed");
+	} catch (error) {
+		console.error("Confirm settlement error:", error);
+		res
+			.status(500)
+			.json({ error: "An error occurred while confirming the settlement" });
+	}
+};
+
+// Reject a pending settlement
+export const rejectSettlement = async (req, res) => {
+	try {
+		await resolveSettlement(req, res, "rejected");
+	} catch (error) {
+		console.error("Reject settlement error:", error);
+		res
+			.status(500)
+			.json({ error: "An error occurred while rejecting the settlement" });
+	}
+};
@@ -0,0 +1,91 @@
+// src/controllers/webhook.controller.js
+import {
+	listWebhookEvents,
+	replayWebhookEvent,
+	simulateWebhookEvent,
+} from "../services/webhook.service.js";
+
+// Admin: list stored webhook events, e.g. ?status=failed
+export const getWebhookEvents = async (req, res) => {
+	try {
+		const { status } = req.query;
+		const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+		const events = await listWebhookEvents({ status, limit });
+
+		res.json({ events });
+	} catch (error) {
+		console.error("Get webhook events error:", error);
+		res
+			.status(500)
+			.json({ error: "An error occurred while fetching webhook events" });
+	}
+};
+
+// Admin: process a failed webhook event again
+export const replayEvent = async (req, res) => {
+	try {
+		const { eventId } = req.params;
+
+		const event = await replayWebhookEvent(eventId, req.io);
+
+		res.json({
+			message:
+				event.status === "succeeded"
+					? "Webhook event replayed successfully"
+					: "Webhook event failed again",
+			event: {
+				id: event.id,
+				type: event.type,
+				status: event.status,
+				error: event.error,
+				attempts: event.attempts,
+				processedAt: event.processedAt,
+			},
+		});
+	} catch (error) {
+		console.error("Replay webhook event error:", error);
+		res.status(500).json({
+			error: error.message || "An error occurred while replaying the event",
+		});
+	}
+};
+
+// Admin, fake provider only: complete a payment intent as if Stripe had called back,
+// e.g. { "outcome": "failed", "failureCode": "insufficient_funds" }
+export const simulateEvent = async (req, res) => {
+	try {
+		const { paymentIntentId } = req.params;
+		const { outcome = "succeeded", failureCode } = req.body;
+
+		if (!["succeeded", "failed", "refunded"].includes(outcome)) {
+			return res.status(400).json({
+				error: "Outcome must be one of succeeded, failed or refunded",
+			});
+		}
+
+		const event = await simulateWebhookEvent(paymentIntentId, outcome, req.io, {
+			failureCode,
+		});
+
+		res.json({
+			message:
+				event.status === "succeeded"
+					? "Webhook event simulated successfully"
+					: "Simulated webhook event failed",
+			event: {
+				id: event.id,
+				type: event.type,
+				status: event.status,
+				error: event.error,
+				attempts: event.attempts,
+				processedAt: event.processedAt,
+			},
+		});
+	} catch (error) {
+		console.error("Simulate webhook event error:", error);
+		res.status(500).json({
+			error: error.message || "An error occurred while simulating the event",
+		});
+	}
+};
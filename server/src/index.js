@@ -1,6 +1,7 @@
 // src/index.js
 import { server, app } from "./app.js";
 import { startScheduler } from "./utils/scheduler.utils.js";
+import { loadExchangeRatesFromFile } from "./services/exchange-rate.service.js";
 import { setupSocketIO, socketMiddleware } from "./utils/socket.utils.js";
 
 const PORT = process.env.PORT || 8000;
@@ -16,4 +17,11 @@ server.listen(PORT, () => {
 
 	// Start the bill reminder scheduler
 	startScheduler(io);
+
+	// Load exchange rates from a local file if one is configured
+	if (process.env.EXCHANGE_RATES_FILE) {
+		loadExchangeRatesFromFile()
+			.then((rates) => console.log(`Loaded ${rates.length} exchange rates`))
+			.catch((error) => console.error("Error loading exchange rates:", error));
+	}
 });
@@ -38,3 +38,19 @@ export const authenticateToken = async (req, res, next) => {
 		return res.status(403).json({ error: "Invalid token" });
 	}
 };
+
+// Restrict a route to platform admins listed in ADMIN_EMAILS
+export const requireAdmin = (req, res, next) => {
+	const adminEmails = (process.env.ADMIN_EMAILS || "")
+		.split(",")
+		.map((email) => email.trim().toLowerCase())
+		.filter(Boolean);
+
+	if (!req.user || !adminEmails.includes(req.user.email.toLowerCase())) {
+		return res
+			.status(403)
+			.json({ error: "This action requires platform admin privileges" });
+	}
+
+	next();
+};
@@ -1,70 +1,121 @@
 // src/middlewares/group.middleware.js
-import { PrismaClient } from "@prisma/client";
+import prisma from "../db.js";
+import { getMemberPermissions } from "../utils/permission.utils.js";
 
-const prisma = new PrismaClient();
-
-export const checkGroupMembership = async (req, res, next) => {
-	try {
-		const { groupId } = req.params;
-		const userId = req.user.id;
-
-		const membership = await prisma.groupMember.findUnique({
-			where: {
-				userId_groupId: {
-					userId,
-					groupId,
-				},
-			},
+// How to find the group for routes that only name a resource inside it
+const groupIdResolvers = {
+	group: async (req) => req.params.groupId || req.body.groupId,
+	expense: async (req) => {
+		const expenseId = req.params.expenseId || req.body.expenseId;
+		const expense =
+			expenseId &&
+			(await prisma.expense.findUnique({
+				where: { id: expenseId },
+				select: { groupId: true },
+			}));
+		return expense?.groupId;
+	},
+	bill: async (req) => {
+		const bill = await prisma.recurringBill.findUnique({
+			where: { id: req.params.billId },
+			select: { groupId: true },
+		});
+		return bill?.groupId;
+	},
+	share: async (req) => {
+		const share = await prisma.expenseShare.findUnique({
+			where: { id: req.params.shareId },
+			select: { expense: { select: { groupId: true } } },
 		});
+		return share?.expense.groupId;
+	},
+};
 
-		if (!membership) {
-			return res
-				.status(403)
-				.json({ error: "You are not a member of this group" });
-		}
+// Archived groups are read-only, but members can still settle up so the
+// group can be cleared for deletion
+const archivedGroupPermissions = ["viewGroup", "settleUp"];
 
-		req.groupMembership = membership;
-		next();
-	} catch (error) {
-		console.error("Check group membership error:", error);
-		res
-			.status(500)
-			.json({ error: "An error occurred while checking group membership" });
-	}
+const resourceNames = {
+	group: "Group",
+	expense: "Expense",
+	bill: "Bill",
+	share: "Expense share",
 };
 
-export const checkGroupAdminRole = async (req, res, next) => {
-	try {
-		const { groupId } = req.params;
-		const userId = req.user.id;
+/**
+ * Require the signed-in user to hold a permission in the group a route acts
+ * on. Sets req.groupMembership, req.group and req.groupPermissions.
+ * @param {string|Array<string>} permissions - Permission, or a list where any one is enough
+ * @param {Object} [options]
+ * @param {string} [options.resource] - "group" (default), "expense", "bill" or "share"
+ * @param {boolean} [options.allowArchived] - Let the route change archived groups
+ * @returns {Function} - Express middleware
+ */
+export const requireGroupPermission = (
+	permissions,
+	{ resource = "group", allowArchived = false } = {}
+) => {
+	const required = [].concat(permissions);
+
+	return async (req, res, next) => {
+		try {
+			const groupId = await groupIdResolvers[resource](req);
 
-		const membership = await prisma.groupMember.findUnique({
-			where: {
-				userId_groupId: {
-					userId,
-					groupId,
+			if (!groupId) {
+				return res.status(resource === "group" ? 400 : 404).json({
+					error:
+						resource === "group"
+							? "Group ID is required"
+							: `${resourceNames[resource]} not found`,
+				});
+			}
+
+			const membership = await prisma.groupMember.findUnique({
+				where: {
+					userId_groupId: {
+						userId: req.user.id,
+						groupId,
+					},
 				},
-			},
-		});
+				include: { group: true },
+			});
 
-		if (!membership) {
-			return res
-				.status(403)
-				.json({ error: "You are not a member of this group" });
-		}
+			if (!membership) {
+				return res
+					.status(403)
+					.json({ error: "You are not a member of this group" });
+			}
 
-		if (membership.role !== "admin") {
-			return res
-				.status(403)
-				.json({ error: "This action requires admin privileges" });
-		}
+			const { group, ...groupMembership } = membership;
+			const groupPermissions = getMemberPermissions(groupMembership, group);
 
-		req.groupMembership = membership;
-		next();
-	} catch (error) {
-		console.error("Check admin role error:", error);
-		res
-			.status(500)
-			.json({ error: "An error occurred while checking admin privileges" });
-	}
+			if (!required.some((permission) => groupPermissions[permission])) {
+				return res.status(403).json({
+					error: `Your role (${groupMembership.role}) does not allow this action in this group`,
+				});
+			}
+
+			if (
+				group.archivedAt &&
+				!allowArchived &&
+				!required.every((permission) =>
+					archivedGroupPermissions.includes(permission)
+				)
+			) {
+				return res
+					.status(403)
+					.json({ error: "This group is archived and read-only" });
+			}
+
+			req.groupMembership = groupMembership;
+			req.group = group;
+			req.groupPermissions = groupPermissions;
+			next();
+		} catch (error) {
+			console.error("Check group permission error:", error);
+			res
+				.status(500)
+				.json({ error: "An error occurred while checking group permissions" });
+		}
+	};
 };
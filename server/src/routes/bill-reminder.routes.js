@@ -1,6 +1,7 @@
 // src/routes/bill-reminder.routes.js
 import express from "express";
 import { authenticateToken } from "../middlewares/auth.middleware.js";
+import { requireGroupPermission } from "../middlewares/group.middleware.js";
 import {
 	analyzeExpenses,
 	createBill,
@@ -15,22 +16,42 @@ const router = express.Router();
 // All routes require authentication
 router.use(authenticateToken);
 
-// Analyze expenses to find recurring bills
-router.post("/groups/:groupId/analyze", analyzeExpenses);
+// Analyze expenses to find recurring bills, saving what it finds
+router.post(
+	"/groups/:groupId/analyze",
+	requireGroupPermission("manageBills"),
+	analyzeExpenses
+);
 
 // Get all recurring bills for a group
-router.get("/groups/:groupId/bills", getGroupBills);
+router.get(
+	"/groups/:groupId/bills",
+	requireGroupPermission("viewGroup"),
+	getGroupBills
+);
 
 // Create a new recurring bill
-router.post("/bills", createBill);
+router.post("/bills", requireGroupPermission("manageBills"), createBill);
 
 // Update a recurring bill
-router.put("/bills/:billId", updateBill);
+router.put(
+	"/bills/:billId",
+	requireGroupPermission("manageBills", { resource: "bill" }),
+	updateBill
+);
 
 // Delete a recurring bill
-router.delete("/bills/:billId", deleteBill);
+router.delete(
+	"/bills/:billId",
+	requireGroupPermission("manageBills", { resource: "bill" }),
+	deleteBill
+);
 
 // Send reminders for upcoming bills
-router.post("/groups/:groupId/send-reminders", sendReminders);
+router.post(
+	"/groups/:groupId/send-reminders",
+	requireGroupPermission("manageBills"),
+	sendReminders
+);
 
 export default router;
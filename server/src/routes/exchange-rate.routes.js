@@ -0,0 +1,33 @@
+// src/routes/exchange-rate.routes.js
+import express from "express";
+import {
+	authenticateToken,
+	requireAdmin,
+} from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validation.middleware.js";
+import { saveExchangeRatesSchema } from "../validation/exchange-rate.validation.js";
+import {
+	getExchangeRates,
+	updateExchangeRates,
+	reloadExchangeRates,
+} from "../controllers/exchange-rate.controller.js";
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+// Get all stored exchange rates
+router.get("/", getExchangeRates);
+
+// Admin: save rates for a base currency
+router.put(
+	"/",
+	requireAdmin,
+	validate(saveExchangeRatesSchema),
+	updateExchangeRates
+);
+
+// Admin: reload rates from EXCHANGE_RATES_FILE
+router.post("/reload", requireAdmin, reloadExchangeRates);
+
+export default router;
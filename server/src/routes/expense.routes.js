@@ -1,6 +1,7 @@
 // src/routes/expense.routes.js
 import express from "express";
 import { authenticateToken } from "../middlewares/auth.middleware.js";
+import { requireGroupPermission } from "../middlewares/group.middleware.js";
 import { validate } from "../middlewares/validation.middleware.js";
 import {
 	createExpenseSchema,
@@ -14,26 +15,68 @@ import {
 	deleteExpense,
 	getExpenseSummary,
 	getGroupBalances,
+	getSettlePlan,
 } from "../controllers/expense.controller.js";
 
 const router = express.Router();
 
+// Creators with addExpenses edit their own expenses, the controller
+// checks which case applies
+const editExpensePermissions = ["addExpenses", "editOthersExpenses"];
+
 router.use(authenticateToken);
 
-router.post("/", validate(createExpenseSchema), createExpense);
+router.post(
+	"/",
+	validate(createExpenseSchema),
+	requireGroupPermission("addExpenses"),
+	createExpense
+);
 
 // Get all expenses for a group
-router.get("/group/:groupId", getGroupExpenses);
+router.get(
+	"/group/:groupId",
+	requireGroupPermission("viewGroup"),
+	getGroupExpenses
+);
 
 // Get expense summary by category
-router.get("/group/:groupId/summary", getExpenseSummary);
+router.get(
+	"/group/:groupId/summary",
+	requireGroupPermission("viewGroup"),
+	getExpenseSummary
+);
 
 // Get balances between group members
-router.get("/group/:groupId/balances", getGroupBalances);
+router.get(
+	"/group/:groupId/balances",
+	requireGroupPermission("viewGroup"),
+	getGroupBalances
+);
+
+// Get a minimal set of transfers to settle up, optionally for one member
+router.get(
+	"/group/:groupId/settle-plan",
+	requireGroupPermission("viewGroup"),
+	getSettlePlan
+);
 
 // Get, update, delete specific expense
-router.get("/:expenseId", getExpenseById);
-router.put("/:expenseId", validate(updateExpenseSchema), updateExpense);
-router.delete("/:expenseId", deleteExpense);
+router.get(
+	"/:expenseId",
+	requireGroupPermission("viewGroup", { resource: "expense" }),
+	getExpenseById
+);
+router.put(
+	"/:expenseId",
+	validate(updateExpenseSchema),
+	requireGroupPermission(editExpensePermissions, { resource: "expense" }),
+	updateExpense
+);
+router.delete(
+	"/:expenseId",
+	requireGroupPermission(editExpensePermissions, { resource: "expense" }),
+	deleteExpense
+);
 
 export default router;
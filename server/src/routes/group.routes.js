@@ -7,17 +7,35 @@ import {
 	joinGroupByCode,
 	inviteToGroup,
 	acceptInvitation,
+	addPlaceholderMember,
+	declineInvitation,
+	getGroupInvites,
+	getMyInvites,
+	resendInvitation,
+	revokeInvitation,
 	updateMemberRole,
 	removeMember,
+	leaveGroup,
+	archiveGroup,
+	unarchiveGroup,
 	deleteGroup,
 	updateGroup,
 	refreshGroupCode,
+	getGroupPermissions,
+	updateGroupPermissions,
+	getSettings,
+	updateSettings,
 } from "../controllers/group.controller.js";
-import { authenticateToken } from "../middlewares/auth.middleware.js";
 import {
-	checkGroupMembership,
-	checkGroupAdminRole,
-} from "../middlewares/group.middleware.js";
+	getJoinRequests,
+	approveJoinRequest,
+	rejectJoinRequest,
+} from "../controllers/join-request.controller.js";
+import { getActivity } from "../controllers/activity.controller.js";
+import { authenticateToken } from "../middlewares/auth.middleware.js";
+import { requireGroupPermission } from "../middlewares/group.middleware.js";
+import { validate } from "../middlewares/validation.middleware.js";
+import { updateGroupSettingsSchema } from "../validation/group.validation.js";
 
 const router = express.Router();
 
@@ -26,25 +44,123 @@ router.use(authenticateToken);
 // Group management
 router.post("/", createGroup);
 router.get("/", getUserGroups);
-router.get("/:groupId", checkGroupMembership, getGroupById);
-router.put("/:groupId", checkGroupAdminRole, updateGroup);
-router.delete("/:groupId", checkGroupAdminRole, deleteGroup);
+router.get("/:groupId", requireGroupPermission("viewGroup"), getGroupById);
+router.put("/:groupId", requireGroupPermission("manageGroup"), updateGroup);
+router.delete(
+	"/:groupId",
+	requireGroupPermission("deleteGroup", { allowArchived: true }),
+	deleteGroup
+);
+
+// Archived groups are read-only and hidden from the group list
+router.post(
+	"/:groupId/archive",
+	requireGroupPermission("deleteGroup"),
+	archiveGroup
+);
+router.post(
+	"/:groupId/unarchive",
+	requireGroupPermission("deleteGroup", { allowArchived: true }),
+	unarchiveGroup
+);
 
 // Invitations and joining
 router.post("/join", joinGroupByCode);
-router.post("/:groupId/invite", checkGroupAdminRole, inviteToGroup);
+router.post(
+	"/:groupId/invite",
+	requireGroupPermission("invite"),
+	inviteToGroup
+);
+router.get("/invites/mine", getMyInvites);
 router.post("/invite/:token/accept", acceptInvitation);
-router.post("/:groupId/refresh-code", checkGroupAdminRole, refreshGroupCode);
+router.post("/invite/:token/decline", declineInvitation);
+router.get(
+	"/:groupId/invites",
+	requireGroupPermission("invite"),
+	getGroupInvites
+);
+router.post(
+	"/:groupId/invites/:inviteId/resend",
+	requireGroupPermission("invite"),
+	resendInvitation
+);
+router.delete(
+	"/:groupId/invites/:inviteId",
+	requireGroupPermission("invite"),
+	revokeInvitation
+);
+router.post(
+	"/:groupId/refresh-code",
+	requireGroupPermission("invite"),
+	refreshGroupCode
+);
+
+// Members without an account, claimed later through an invite or signup
+router.post(
+	"/:groupId/placeholders",
+	requireGroupPermission("invite"),
+	addPlaceholderMember
+);
+
+// Join requests for groups that require approval
+router.get(
+	"/:groupId/join-requests",
+	requireGroupPermission("manageMembers"),
+	getJoinRequests
+);
+router.post(
+	"/:groupId/join-requests/:requestId/approve",
+	requireGroupPermission("manageMembers"),
+	approveJoinRequest
+);
+router.post(
+	"/:groupId/join-requests/:requestId/reject",
+	requireGroupPermission("manageMembers"),
+	rejectJoinRequest
+);
+
+// Timeline of everything that happened in the group
+router.get(
+	"/:groupId/activity",
+	requireGroupPermission("viewGroup"),
+	getActivity
+);
+
+// Defaults for new expenses, timezone and reminder preferences
+router.get(
+	"/:groupId/settings",
+	requireGroupPermission("viewGroup"),
+	getSettings
+);
+router.put(
+	"/:groupId/settings",
+	validate(updateGroupSettingsSchema),
+	requireGroupPermission("manageGroup"),
+	updateSettings
+);
+
+// Roles and per-group permissions
+router.get(
+	"/:groupId/permissions",
+	requireGroupPermission("viewGroup"),
+	getGroupPermissions
+);
+router.put(
+	"/:groupId/permissions",
+	requireGroupPermission("managePermissions"),
+	updateGroupPermissions
+);
 
 // Member management
 router.put(
 	"/:groupId/members/:memberId/role",
-	checkGroupAdminRole,
+	requireGroupPermission("manageMembers"),
 	updateMemberRole
 );
+router.post("/:groupId/leave", requireGroupPermission("viewGroup"), leaveGroup);
 router.delete(
 	"/:groupId/members/:memberId",
-	checkGroupMembership,
+	requireGroupPermission("viewGroup"),
 	removeMember
 );
 
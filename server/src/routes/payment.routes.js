@@ -1,12 +1,32 @@
 // src/routes/payment.routes.js
 import express from "express";
-import { authenticateToken } from "../middlewares/auth.middleware.js";
+import {
+	authenticateToken,
+	requireAdmin,
+} from "../middlewares/auth.middleware.js";
+import { requireGroupPermission } from "../middlewares/group.middleware.js";
 import {
 	initiatePayment,
+	initiateBundlePayment,
 	handleStripeWebhook,
 	getUnpaidShares,
 	sendReminders,
+	getSharePayments,
+	getSharePaymentAttempts,
+	retrySharePayment,
+	refundSharePayment,
+	getHistory,
+	getReceipt,
 } from "../controllers/payment.controller.js";
+import {
+	getWebhookEvents,
+	replayEvent,
+	simulateEvent,
+} from "../controllers/webhook.controller.js";
+import {
+	startOnboarding,
+	getPayoutStatus,
+} from "../controllers/payout.controller.js";
 
 const router = express.Router();
 
@@ -21,12 +41,60 @@ router.post(
 router.use(authenticateToken);
 
 // Create a payment intent
-router.post("/initiate", initiatePayment);
+router.post(
+	"/initiate",
+	requireGroupPermission("settleUp", { resource: "expense" }),
+	initiatePayment
+);
+
+// Pay all unpaid shares owed to one member in a single payment intent
+router.post("/initiate-bundle", initiateBundlePayment);
+
+// Onboard a connected account so share payments reach the member who paid
+router.post("/payouts/onboard", startOnboarding);
+router.get("/payouts/status", getPayoutStatus);
 
 // Get all unpaid expense shares for the user
 router.get("/unpaid", getUnpaidShares);
 
+// Payments the user has made or received, and a receipt for each
+router.get("/history", getHistory);
+router.get("/history/:paymentId/receipt", getReceipt);
+
+// Get the payment records for an expense share
+router.get(
+	"/shares/:shareId/payments",
+	requireGroupPermission("viewGroup", { resource: "share" }),
+	getSharePayments
+);
+
+// Card payment attempts for a share, and retrying after a failure
+router.get(
+	"/shares/:shareId/attempts",
+	requireGroupPermission("viewGroup", { resource: "share" }),
+	getSharePaymentAttempts
+);
+router.post(
+	"/shares/:shareId/retry",
+	requireGroupPermission("settleUp", { resource: "share" }),
+	retrySharePayment
+);
+
+// Admin: refund card payments made towards a share
+router.post("/shares/:shareId/refund", requireAdmin, refundSharePayment);
+
+// Admin: inspect and replay stored Stripe webhook events
+router.get("/webhook-events", requireAdmin, getWebhookEvents);
+router.post("/webhook-events/:eventId/replay", requireAdmin, replayEvent);
+
+// Admin, fake payment provider only: simulate the webhook for a payment intent
+router.post("/simulate/:paymentIntentId", requireAdmin, simulateEvent);
+
 // Send payment reminders for a group
-router.post("/groups/:groupId/reminders", sendReminders);
+router.post(
+	"/groups/:groupId/reminders",
+	requireGroupPermission("settleUp"),
+	sendReminders
+);
 
 export default router;
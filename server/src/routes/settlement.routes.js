@@ -0,0 +1,37 @@
+// src/routes/settlement.routes.js
+import express from "express";
+import { authenticateToken } from "../middlewares/auth.middleware.js";
+import { requireGroupPermission } from "../middlewares/group.middleware.js";
+import { validate } from "../middlewares/validation.middleware.js";
+import { createSettlementSchema } from "../validation/settlement.validation.js";
+import {
+	createSettlement,
+	getGroupSettlements,
+	confirmSettlement,
+	rejectSettlement,
+} from "../controllers/settlement.controller.js";
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+// Record a cash or bank transfer settlement
+router.post(
+	"/",
+	validate(createSettlementSchema),
+	requireGroupPermission("settleUp"),
+	createSettlement
+);
+
+// Get all settlements for a group
+router.get(
+	"/group/:groupId",
+	requireGroupPermission("viewGroup"),
+	getGroupSettlements
+);
+
+// Receiver confirms or rejects a pending settlement
+router.post("/:settlementId/confirm", confirmSettlement);
+router.post("/:settlementId/reject", rejectSettlement);
+
+export default router;
@@ -0,0 +1,117 @@
+// src/services/activity.service.js
+import { Prisma } from "@prisma/client";
+import prisma from "../db.js";
+import { fromMinorUnits } from "../utils/money.utils.js";
+
+// Fields in activity data holding minor units of data.currency
+const AMOUNT_FIELDS = ["amount", "paidAmount", "outstanding", "balance"];
+
+const actorSelect = {
+	id: true,
+	firstName: true,
+	lastName: true,
+	profileImage: true,
+};
+
+/**
+ * Add an entry to a group's activity log. Failures are logged instead of
+ * thrown so the action being recorded still goes through.
+ * @param {Object} activity
+ * @param {string} activity.groupId - Group the activity happened in
+ * @param {string} [activity.actorId] - User who did it, empty for system events
+ * @param {string} activity.type - Socket event name, e.g. "new-expense"
+ * @param {Object} [activity.data] - Snapshot for the timeline, amounts in minor units
+ * @param {string} [activity.eventKey] - Unique key for activity caused by a webhook event, recorded only once
+ * @returns {Promise<Object|null>} - Stored activity, or null if it couldn't be saved or was already recorded
+ */
+export const recordActivity = async ({
+	groupId,
+	actorId,
+	type,
+	data = {},
+	eventKey,
+}) => {
+	try {
+		return await prisma.activity.create({
+			data: {
+				groupId,
+				actorId: actorId || null,
+				type,
+				data,
+				eventKey,
+			},
+		});
+	} catch (error) {
+		// An earlier delivery of the same webhook event recorded it already
+		if (
+			error instanceof Prisma.PrismaClientKnownRequestError &&
+			error.code === "P2002"
+		) {
+			return null;
+		}
+
+		console.error(`Record activity error (${type}):`, error);
+		return null;
+	}
+};
+
+/**
+ * Format an activity for API responses, converting amounts in its data
+ * into decimal amounts
+ * @param {Object} activity - Activity including actor
+ * @returns {Object} - Formatted activity
+ */
+export const formatActivity = (activity) => {
+	const { currency } = activity.data;
+	const data = { ...activity.data };
+
+	if (currency) {
+		AMOUNT_FIELDS.forEach((field) => {
+			if (typeof data[field] === "number") {
+				data[field] = fromMinorUnits(data[field], currency);
+			}
+		});
+	}
+
+	return {
+		id: activity.id,
+		type: activity.type,
+		actor: activity.actor,
+		data,
+		createdAt: activity.createdAt,
+	};
+};
+
+/**
+ * Get a page of a group's activity, newest first
+ * @param {string} groupId - Group ID
+ * @param {Object} [options]
+ * @param {string} [options.cursor] - ID of the last activity on the previous page
+ * @param {number} [options.limit] - Page size
+ * @param {Array<string>} [options.types] - Only these activity types
+ * @returns {Promise<{ activities: Array<Object>, nextCursor: string|null }>} - Activities and the cursor for the next page
+ */
+export const getGroupActivity = async (
+	groupId,
+	{ cursor, limit = 30, types } = {}
+) => {
+	// Fetch one extra activity to know whether there is another page
+	const activities = await prisma.activity.findMany({
+		where: {
+			groupId,
+			...(types && { type: { in: types } }),
+		},
+		include: { actor: { select: actorSelect } },
+		orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+		take: limit + 1,
+		...(cursor && { cursor: { id: cursor }, skip: 1 }),
+	});
+
+	const hasMore = activities.length > limit;
+	const page = hasMore ? activities.slice(0, limit) : activities;
+
+	return {
+		activities: page,
+		nextCursor: hasMore ? page[page.length - 1].id : null,
+	};
+};
@@ -0,0 +1,140 @@
+// src/services/balance.service.js
+import prisma from "../db.js";
+import {
+	calculateBalances,
+	getExpenseContributions,
+	isSettledBalance,
+} from "../utils/balance.utils.js";
+import { toBaseCurrency } from "../utils/currency.utils.js";
+import { allocate } from "../utils/money.utils.js";
+import { getConfirmedSettlements } from "./settlement.service.js";
+
+const userSelect = {
+	id: true,
+	firstName: true,
+	lastName: true,
+};
+
+/**
+ * Get the card payments made towards shares in a group as transfers from
+ * the share's member to whoever paid for the expense, split across the
+ * payer contributions when several members paid. Refunded and disputed
+ * amounts went back to the payer, so they don't count.
+ * @param {string} groupId - Group ID
+ * @param {string} currency - Group base currency code
+ * @returns {Promise<Array<Object>>} - Transfers in minor units of the base currency
+ */
+const getCardPaymentTransfers = async (groupId, currency) => {
+	const payments = await prisma.sharePayment.findMany({
+		where: {
+			method: "stripe",
+			expenseShare: { expense: { groupId } },
+		},
+		include: {
+			expenseShare: {
+				include: { expense: { include: { payers: true } } },
+			},
+		},
+	});
+
+	return payments.flatMap((payment) => {
+		const { expense } = payment.expenseShare;
+		const contributions = getExpenseContributions(expense);
+		const amounts = allocate(
+			payment.amount - payment.refundedAmount,
+			contributions.map((contribution) => contribution.amount)
+		);
+
+		return contributions.map((contribution, index) => ({
+			fromUserId: payment.expenseShare.userId,
+			toUserId: contribution.userId,
+			amount: toBaseCurrency(amounts[index], expense, currency),
+		}));
+	});
+};
+
+/**
+ * Calculate every member's balance in a group from its expenses, confirmed
+ * settlements and card payments. Members who left with an open balance are
+ * kept, flagged as formerMember, so the balances still add up to zero.
+ * @param {string} groupId - Group ID
+ * @returns {Promise<{ currency: string, balances: Array<Object> }>} - Base currency and balances in minor units, sorted by balance descending
+ */
+export const getGroupBalanceSheet = async (groupId) => {
+	// Get all group members
+	const groupMembers = await prisma.groupMember.findMany({
+		where: { groupId },
+		include: {
+			user: {
+				select: userSelect,
+			},
+		},
+	});
+
+	// Get all expenses for the group
+	const expenses = await prisma.expense.findMany({
+		where: { groupId },
+		include: {
+			shares: true,
+			payers: true,
+		},
+	});
+
+	const group = await prisma.group.findUnique({
+		where: { id: groupId },
+		select: { currency: true },
+	});
+
+	if (!group) {
+		throw new Error("Group not found");
+	}
+
+	// Confirmed cash and bank transfer settlements, then card payments
+	const transfers = [
+		...(await getConfirmedSettlements(groupId)),
+		...(await getCardPaymentTransfers(groupId, group.currency)),
+	];
+
+	// Anyone else who paid, owes or settled was a member at the time
+	const memberIds = new Set(groupMembers.map((member) => member.user.id));
+	const formerMemberIds = new Set(
+		expenses
+			.flatMap((expense) => [
+				...getExpenseContributions(expense).map(
+					(contribution) => contribution.userId
+				),
+				...expense.shares.map((share) => share.userId),
+			])
+			.concat(
+				transfers.flatMap((transfer) => [
+					transfer.fromUserId,
+					transfer.toUserId,
+				])
+			)
+			.filter((userId) => !memberIds.has(userId))
+	);
+
+	const formerMembers = await prisma.user.findMany({
+		where: { id: { in: [...formerMemberIds] } },
+		select: userSelect,
+	});
+
+	const balances = calculateBalances(
+		[...groupMembers, ...formerMembers.map((user) => ({ user }))],
+		expenses,
+		group.currency,
+		transfers
+	);
+
+	return {
+		currency: group.currency,
+		balances: balances
+			.map((balance) => ({
+				...balance,
+				formerMember: formerMemberIds.has(balance.user.id),
+			}))
+			.filter(
+				(balance) => !balance.formerMember || !isSettledBalance(balance.balance)
+			),
+	};
+};
@@ -1,10 +1,31 @@
 // src/services/bill-reminder.service.js
 import prisma from "../db.js";
+import { normalizeCurrency } from "../utils/currency.utils.js";
+import {
+	fromMinorUnits,
+	getMinorUnitExponent,
+	toMinorUnits,
+} from "../utils/money.utils.js";
+import {
+	getEndOfDayInTimezone,
+	getGroupSettings,
+} from "../utils/group-settings.utils.js";
 import {
 	detectRecurringExpenses,
 	generateBillName,
 } from "../utils/bill-predictor.utils.js";
 
+/**
+ * Format a recurring bill or detected pattern for responses, converting
+ * its amount from minor units into a decimal amount
+ * @param {Object} bill - Bill with amount and currency
+ * @returns {Object} - Bill with a decimal amount
+ */
+export const formatBill = (bill) => ({
+	...bill,
+	amount: fromMinorUnits(bill.amount, bill.currency),
+});
+
 /**
  * Analyze group expenses to find and save recurring bills
  * @param {string} groupId - The group ID
@@ -28,10 +49,11 @@ export const analyzeGroupExpenses = async (groupId, userId) => {
 					where: {
 						groupId,
 						category: pattern.category,
+						currency: pattern.currency,
 						// Find bills with similar amounts (within 10%)
 						amount: {
-							gte: pattern.amount * 0.9,
-							lte: pattern.amount * 1.1,
+							gte: Math.floor(pattern.amount * 0.9),
+							lte: Math.ceil(pattern.amount * 1.1),
 						},
 						// With similar description
 						description: {
@@ -58,6 +80,7 @@ export const analyzeGroupExpenses = async (groupId, userId) => {
 							name: billName,
 							description: pattern.description,
 							amount: pattern.amount,
+							currency: pattern.currency,
 							category: pattern.category,
 							frequency: pattern.frequency,
 							nextDueDate: pattern.nextDueDate,
@@ -72,6 +95,7 @@ export const analyzeGroupExpenses = async (groupId, userId) => {
 				results.detected.push({
 					description: pattern.description,
 					amount: pattern.amount,
+					currency: pattern.currency,
 					category: pattern.category,
 					frequency: pattern.frequency,
 					nextDueDate: pattern.nextDueDate,
@@ -100,6 +124,7 @@ export const createRecurringBill = async (billData, userId) => {
 			name,
 			description,
 			amount,
+			currency,
 			category,
 			frequency,
 			nextDueDate,
@@ -119,12 +144,21 @@ export const createRecurringBill = async (billData, userId) => {
 			throw new Error("User is not a member of this group");
 		}
 
+		// Bills default to the group's base currency
+		const group = await prisma.group.findUnique({
+			where: { id: groupId },
+			select: { currency: true },
+		});
+
+		const billCurrency = normalizeCurrency(currency || group.currency);
+
 		// Create the bill
 		const bill = await prisma.recurringBill.create({
 			data: {
 				name,
 				description,
-				amount,
+				amount: toMinorUnits(amount, billCurrency),
+				currency: billCurrency,
 				category,
 				frequency,
 				nextDueDate: new Date(nextDueDate),
@@ -141,43 +175,31 @@ export const createRecurringBill = async (billData, userId) => {
 };
 
 /**
- * Update a recurring bill
+ * Update a recurring bill. Callers check the group's manageBills permission.
  * @param {string} billId - Bill ID
  * @param {Object} billData - Bill details to update
- * @param {string} userId - User updating the bill
  * @returns {Promise<Object>} - Updated bill
  */
-export const updateRecurringBill = async (billId, billData, userId) => {
+export const updateRecurringBill = async (billId, billData) => {
 	try {
-		// Get the bill to verify permissions
 		const bill = await prisma.recurringBill.findUnique({
 			where: { id: billId },
-			include: {
-				group: {
-					include: {
-						members: true,
-					},
-				},
-			},
 		});
 
 		if (!bill) {
 			throw new Error("Bill not found");
 		}
 
-		// Check if user has permission (is bill creator or group admin)
-		const userMembership = bill.group.members.find(
-			(member) => member.userId === userId
-		);
-		if (!userMembership) {
-			throw new Error("User is not a member of this group");
-		}
-
-		const isAdmin = userMembership.role === "admin";
-		const isCreator = bill.createdById === userId;
+		const billCurrency = normalizeCurrency(billData.currency || bill.currency);
 
-		if (!isAdmin && !isCreator) {
-			throw new Error("User does not have permission to update this bill");
+		// Stored minor units can't be reinterpreted with a different precision
+		if (
+			billData.amount === undefined &&
+			getMinorUnitExponent(billCurrency) !== getMinorUnitExponent(bill.currency)
+		) {
+			throw new Error(
+				"Amount is required when changing to a currency with different decimal places"
+			);
 		}
 
 		// Update the bill
@@ -188,6 +210,13 @@ export const updateRecurringBill = async (billId, billData, userId) => {
 				...(billData.nextDueDate && {
 					nextDueDate: new Date(billData.nextDueDate),
 				}),
+				...(billData.currency && {
+					currency: billCurrency,
+				}),
+				// Amounts are entered in the bill currency and stored in minor units
+				...(billData.amount !== undefined && {
+					amount: toMinorUnits(billData.amount, billCurrency),
+				}),
 			},
 		});
 
@@ -199,44 +228,20 @@ export const updateRecurringBill = async (billId, billData, userId) => {
 };
 
 /**
- * Delete a recurring bill
+ * Delete a recurring bill. Callers check the group's manageBills permission.
  * @param {string} billId - Bill ID
- * @param {string} userId - User deleting the bill
  * @returns {Promise<void>}
  */
-export const deleteRecurringBill = async (billId, userId) => {
+export const deleteRecurringBill = async (billId) => {
 	try {
-		// Get the bill to verify permissions
 		const bill = await prisma.recurringBill.findUnique({
 			where: { id: billId },
-			include: {
-				group: {
-					include: {
-						members: true,
-					},
-				},
-			},
 		});
 
 		if (!bill) {
 			throw new Error("Bill not found");
 		}
 
-		// Check if user has permission (is bill creator or group admin)
-		const userMembership = bill.group.members.find(
-			(member) => member.userId === userId
-		);
-		if (!userMembership) {
-			throw new Error("User is not a member of this group");
-		}
-
-		const isAdmin = userMembership.role === "admin";
-		const isCreator = bill.createdById === userId;
-
-		if (!isAdmin && !isCreator) {
-			throw new Error("User does not have permission to delete this bill");
-		}
-
 		// Delete the bill
 		await prisma.recurringBill.delete({
 			where: { id: billId },
@@ -292,21 +297,34 @@ export const getGroupRecurringBills = async (groupId, userId) => {
 };
 
 /**
- * Send bill reminders to a group
+ * Send bill reminders to a group, following its reminder settings
  * @param {string} groupId - Group ID
  * @returns {Promise<Array>} - Sent reminders
  */
 export const sendBillReminders = async (groupId) => {
 	try {
-		// Get bills due in the next 3 days
-		const threeDaysFromNow = new Date();
-		threeDaysFromNow.setDate(threeDaysFromNow.getDate() + 3);
+		const group = await prisma.group.findUnique({
+			where: { id: groupId },
+			select: { settings: true },
+		});
+		const { reminders, timezone } = getGroupSettings(group);
+
+		if (!reminders.bills) {
+			return [];
+		}
+
+		// Get bills due by the end of the day, in the group's timezone,
+		// billDaysBefore days from now
+		const reminderWindowEnd = new Date();
+		reminderWindowEnd.setDate(
+			reminderWindowEnd.getDate() + reminders.billDaysBefore
+		);
 
 		const dueBills = await prisma.recurringBill.findMany({
 			where: {
 				groupId,
 				nextDueDate: {
-					lte: threeDaysFromNow,
+					lte: getEndOfDayInTimezone(reminderWindowEnd, timezone),
 				},
 			},
 			include: {
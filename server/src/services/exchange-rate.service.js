@@ -0,0 +1,164 @@
+// src/services/exchange-rate.service.js
+import fs from "fs/promises";
+import path from "path";
+import prisma from "../db.js";
+import {
+	DEFAULT_CURRENCY,
+	normalizeCurrency,
+} from "../utils/currency.utils.js";
+
+/**
+ * Get the exchange rate between two currencies.
+ * Uses a direct rate if one is stored, otherwise the inverse of the
+ * opposite rate, otherwise a cross rate through the default currency.
+ * @param {string} fromCurrency - Source currency code
+ * @param {string} toCurrency - Target currency code
+ * @returns {Promise<number>} - Units of toCurrency per unit of fromCurrency
+ */
+export const getExchangeRate = async (fromCurrency, toCurrency) => {
+	const from = normalizeCurrency(fromCurrency);
+	const to = normalizeCurrency(toCurrency);
+
+	if (from === to) {
+		return 1;
+	}
+
+	const rate = await findRate(from, to);
+
+	if (rate === null) {
+		throw new Error(`No exchange rate available from ${from} to ${to}`);
+	}
+
+	return rate;
+};
+
+/**
+ * Look up a direct, inverse or cross rate
+ * @param {string} from - Source currency code
+ * @param {string} to - Target currency code
+ * @returns {Promise<number|null>} - Exchange rate, or null if unknown
+ */
+async function findRate(from, to) {
+	const rates = await prisma.exchangeRate.findMany({
+		where: {
+			OR: [
+				{ baseCurrency: from, quoteCurrency: to },
+				{ baseCurrency: to, quoteCurrency: from },
+				{ baseCurrency: DEFAULT_CURRENCY, quoteCurrency: { in: [from, to] } },
+			],
+		},
+	});
+
+	const lookup = (base, quote) =>
+		rates.find(
+			(rate) => rate.baseCurrency === base && rate.quoteCurrency === quote
+		)?.rate;
+
+	const direct = lookup(from, to);
+	if (direct) {
+		return direct;
+	}
+
+	const inverse = lookup(to, from);
+	if (inverse) {
+		return 1 / inverse;
+	}
+
+	// Cross rate through the default currency
+	const fromRate =
+		from === DEFAULT_CURRENCY ? 1 : lookup(DEFAULT_CURRENCY, from);
+	const toRate = to === DEFAULT_CURRENCY ? 1 : lookup(DEFAULT_CURRENCY, to);
+	if (fromRate && toRate) {
+		return toRate / fromRate;
+	}
+
+	return null;
+}
+
+/**
+ * Get exchange rates from several currencies into one target currency.
+ * Currencies without a known rate are left out.
+ * @param {Array<string>} currencies - Source currency codes
+ * @param {string} toCurrency - Target currency code
+ * @returns {Promise<Object>} - Map of source currency to rate
+ */
+export const getExchangeRates = async (currencies, toCurrency) => {
+	const to = normalizeCurrency(toCurrency);
+	const rates = {};
+
+	for (const currency of new Set(currencies.map(normalizeCurrency))) {
+		const rate = currency === to ? 1 : await findRate(currency, to);
+
+		if (rate !== null) {
+			rates[currency] = rate;
+		}
+	}
+
+	return rates;
+};
+
+/**
+ * List all stored exchange rates
+ * @returns {Promise<Array>} - Stored exchange rates
+ */
+export const listExchangeRates = async () => {
+	return prisma.exchangeRate.findMany({
+		orderBy: [{ baseCurrency: "asc" }, { quoteCurrency: "asc" }],
+	});
+};
+
+/**
+ * Store exchange rates, replacing existing rates for the same pair
+ * @param {string} baseCurrency - Base currency code
+ * @param {Object} rates - Map of quote currency to rate, e.g. { EUR: 0.92 }
+ * @param {string} source - Where the rates came from ("file" or "admin")
+ * @returns {Promise<Array>} - Saved exchange rates
+ */
+export const saveExchangeRates = async (baseCurrency, rates, source) => {
+	const base = normalizeCurrency(baseCurrency);
+
+	return prisma.$transaction(
+		Object.entries(rates)
+			.filter(([quote]) => normalizeCurrency(quote) !== base)
+			.map(([quote, rate]) =>
+				prisma.exchangeRate.upsert({
+					where: {
+						baseCurrency_quoteCurrency: {
+							baseCurrency: base,
+							quoteCurrency: normalizeCurrency(quote),
+						},
+					},
+					update: { rate, source },
+					create: {
+						baseCurrency: base,
+						quoteCurrency: normalizeCurrency(quote),
+						rate,
+						source,
+					},
+				})
+			)
+	);
+};
+
+/**
+ * Load exchange rates from a local JSON file shaped like
+ * { "base": "USD", "rates": { "EUR": 0.92, "GBP": 0.79 } }
+ * @param {string} [filePath] - Path to the file, defaults to EXCHANGE_RATES_FILE
+ * @returns {Promise<Array>} - Saved exchange rates
+ */
+export const loadExchangeRatesFromFile = async (
+	filePath = process.env.EXCHANGE_RATES_FILE
+) => {
+	if (!filePath) {
+		throw new Error("No exchange rates file configured");
+	}
+
+	const contents = await fs.readFile(path.resolve(filePath), "utf8");
+	const { base, rates } = JSON.parse(contents);
+
+	if (!base || !rates || typeof rates !== "object") {
+		throw new Error("Exchange rates file must contain a base and rates");
+	}
+
+	return saveExchangeRates(base, rates, "file");
+};
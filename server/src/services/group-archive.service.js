@@ -0,0 +1,47 @@
+// src/services/group-archive.service.js
+import { getGroupBalanceSheet } from "./balance.service.js";
+import { isSettledBalance } from "../utils/balance.utils.js";
+
+// How long a group stays archived before it can be deleted for good
+export const GROUP_DELETE_GRACE_DAYS = 30;
+
+/**
+ * Get the earliest date an archived group can be deleted
+ * @param {Object} group - Group with archivedAt
+ * @returns {Date|null} - Date the grace period ends, null if not archived
+ */
+export const getGroupDeletableAt = (group) => {
+	if (!group.archivedAt) {
+		return null;
+	}
+
+	const deletableAt = new Date(group.archivedAt);
+	deletableAt.setDate(deletableAt.getDate() + GROUP_DELETE_GRACE_DAYS);
+	return deletableAt;
+};
+
+/**
+ * Format a group's archive state for API responses
+ * @param {Object} group - Group with archivedAt
+ * @returns {Object} - Archive state
+ */
+export const formatArchiveStatus = (group) => ({
+	archived: Boolean(group.archivedAt),
+	archivedAt: group.archivedAt,
+	deletableAt: getGroupDeletableAt(group),
+});
+
+/**
+ * Get the members whose balance in a group is not settled yet. Exchange
+ * rate rounding remainders don't count.
+ * @param {string} groupId - Group ID
+ * @returns {Promise<{ currency: string, balances: Array<Object> }>} - Base currency and open balances in minor units
+ */
+export const getUnsettledBalances = async (groupId) => {
+	const { currency, balances } = await getGroupBalanceSheet(groupId);
+
+	return {
+		currency,
+		balances: balances.filter((balance) => !isSettledBalance(balance.balance)),
+	};
+};
@@ -0,0 +1,109 @@
+// src/services/invite.service.js
+import prisma from "../db.js";
+import { generateInviteToken } from "../utils/invite.utils.js";
+import { sendMail } from "./mailer/index.js";
+import { renderInviteEmail } from "./mailer/templates/invite.template.js";
+import {
+	findClaimablePlaceholders,
+	mergePlaceholderIntoUser,
+} from "./placeholder.service.js";
+
+export const INVITE_EXPIRY_DAYS = 7;
+
+/**
+ * Get the expiry date for an invite sent now
+ * @returns {Date} - Expiry date
+ */
+export const getInviteExpiry = () => {
+	const expiresAt = new Date();
+	expiresAt.setDate(expiresAt.getDate() + INVITE_EXPIRY_DAYS);
+	return expiresAt;
+};
+
+/**
+ * Build the link that accepts an invite in the client app
+ * @param {string} token - Invite token
+ * @returns {string} - Accept URL
+ */
+export const getInviteAcceptUrl = (token) => {
+	const clientUrl = process.env.CLIENT_URL || "http://localhost:3000";
+	return `${clientUrl.replace(/\/$/, "")}/invite/${token}`;
+};
+
+/**
+ * Email an invite to the address it was sent to
+ * @param {Object} invite - Group invite including group and inviter
+ * @returns {Promise<Object>} - Message ID
+ */
+export const sendInviteEmail = async (invite) => {
+	const inviterName =
+		[invite.inviter.firstName, invite.inviter.lastName]
+			.filter(Boolean)
+			.join(" ") || invite.inviter.email;
+
+	return sendMail(
+		invite.email,
+		renderInviteEmail({
+			inviterName,
+			groupName: invite.group.name,
+			acceptUrl: getInviteAcceptUrl(invite.token),
+			expiresAt: invite.expiresAt,
+		})
+	);
+};
+
+/**
+ * Give a pending invite a new token and expiry and email it again. The
+ * previous link stops working.
+ * @param {string} inviteId - Group invite ID
+ * @returns {Promise<Object>} - Updated invite including group and inviter
+ */
+export const resendInvite = async (inviteId) => {
+	const invite = await prisma.groupInvite.update({
+		where: { id: inviteId },
+		data: {
+			token: generateInviteToken(),
+			expiresAt: getInviteExpiry(),
+		},
+		include: {
+			group: true,
+			inviter: true,
+		},
+	});
+
+	await sendInviteEmail(invite);
+
+	return invite;
+};
+
+/**
+ * Add the invited user to the group, hand them the placeholders meant for
+ * them and delete the invite. Holding the token proves the invited address
+ * belongs to the user, so placeholders with that email are claimed too.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} invite - Group invite being accepted
+ * @param {Object} user - User accepting the invite
+ * @returns {Promise<void>}
+ */
+export const acceptInvite = async (tx, invite, user) => {
+	await tx.groupMember.create({
+		data: {
+			userId: user.id,
+			groupId: invite.groupId,
+			role: "member",
+		},
+	});
+
+	const placeholderIds = new Set(
+		await findClaimablePlaceholders(tx, invite.email, invite.groupId)
+	);
+	if (invite.placeholderId) {
+		placeholderIds.add(invite.placeholderId);
+	}
+
+	for (const placeholderId of placeholderIds) {
+		await mergePlaceholderIntoUser(tx, placeholderId, user.id);
+	}
+
+	await tx.groupInvite.delete({ where: { id: invite.id } });
+};
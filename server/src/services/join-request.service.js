@@ -0,0 +1,73 @@
+// src/services/join-request.service.js
+import prisma from "../db.js";
+
+export const joinRequestInclude = {
+	user: {
+		select: {
+			id: true,
+			firstName: true,
+			lastName: true,
+			email: true,
+			profileImage: true,
+		},
+	},
+	group: {
+		select: {
+			id: true,
+			name: true,
+		},
+	},
+};
+
+/**
+ * Format a join request for API responses and socket events
+ * @param {Object} request - Join request including joinRequestInclude
+ * @returns {Object} - Formatted join request
+ */
+export const formatJoinRequest = (request) => ({
+	id: request.id,
+	status: request.status,
+	message: request.message,
+	createdAt: request.createdAt,
+	resolvedAt: request.resolvedAt,
+	resolvedById: request.resolvedById,
+	group: request.group,
+	user: request.user,
+});
+
+/**
+ * Queue a request to join a group for its admins to review
+ * @param {string} groupId - Group ID
+ * @param {string} userId - User asking to join
+ * @param {string} [message] - Note for the admins
+ * @returns {Promise<Object>} - Join request including joinRequestInclude
+ */
+export const createJoinRequest = async (groupId, userId, message) => {
+	return prisma.joinRequest.create({
+		data: {
+			groupId,
+			userId,
+			message,
+		},
+		include: joinRequestInclude,
+	});
+};
+
+/**
+ * Emit an event to every owner and admin of a group
+ * @param {Object} io - Socket.io server
+ * @param {string} groupId - Group ID
+ * @param {string} event - Event name
+ * @param {Object} payload - Event data
+ * @returns {Promise<void>}
+ */
+export const notifyGroupAdmins = async (io, groupId, event, payload) => {
+	const admins = await prisma.groupMember.findMany({
+		where: { groupId, role: { in: ["owner", "admin"] } },
+		select: { userId: true },
+	});
+
+	admins.forEach((admin) => {
+		io.to(`user:${admin.userId}`).emit(event, payload);
+	});
+};
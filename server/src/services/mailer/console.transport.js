@@ -0,0 +1,30 @@
+// src/services/mailer/console.transport.js
+import crypto from "crypto";
+
+// Development transport: prints the plain text version of each email
+export const consoleTransport = {
+	name: "console",
+
+	/**
+	 * Log a message instead of sending it
+	 * @param {Object} message - From, to, subject, html and text
+	 * @returns {Promise<Object>} - Message ID
+	 */
+	async send(message) {
+		const messageId = `<${crypto.randomUUID()}@console>`;
+
+		console.log(
+			[
+				"----- Email -----",
+				`From: ${message.from}`,
+				`To: ${message.to}`,
+				`Subject: ${message.subject}`,
+				"",
+				message.text,
+				"-----------------",
+			].join("\n")
+		);
+
+		return { messageId };
+	},
+};
@@ -0,0 +1,35 @@
+// src/services/mailer/file.transport.js
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+
+// Development transport: writes each email to MAIL_OUTBOX_DIR as JSON and
+// HTML files, so links can be opened in a browser
+export const fileTransport = {
+	name: "file",
+
+	/**
+	 * Write a message to the outbox directory instead of sending it
+	 * @param {Object} message - From, to, subject, html and text
+	 * @returns {Promise<Object>} - Message ID and the files written
+	 */
+	async send(message) {
+		const outboxDir = path.resolve(
+			process.env.MAIL_OUTBOX_DIR || "data/outbox"
+		);
+		const id = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
+		const jsonPath = path.join(outboxDir, `${id}.json`);
+		const htmlPath = path.join(outboxDir, `${id}.html`);
+
+		await fs.mkdir(outboxDir, { recursive: true });
+		await fs.writeFile(
+			jsonPath,
+			JSON.stringify({ ...message, sentAt: new Date() }, null, 2)
+		);
+		await fs.writeFile(htmlPath, message.html);
+
+		console.log(`Email to ${message.to} written to ${htmlPath}`);
+
+		return { messageId: `<${id}@file>`, files: [jsonPath, htmlPath] };
+	},
+};
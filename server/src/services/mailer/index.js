@@ -0,0 +1,45 @@
+// src/services/mailer/index.js
+import { smtpTransport } from "./smtp.transport.js";
+import { fileTransport } from "./file.transport.js";
+import { consoleTransport } from "./console.transport.js";
+
+// Every transport implements send(message)
+const transports = {
+	smtp: smtpTransport,
+	file: fileTransport,
+	console: consoleTransport,
+};
+
+/**
+ * Get the transport selected by MAIL_TRANSPORT. Without it, SMTP is used
+ * when SMTP_HOST is set and emails are logged to the console otherwise.
+ * @returns {Object} - Mail transport
+ */
+export const getMailTransport = () => {
+	const name = (
+		process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? "smtp" : "console")
+	).toLowerCase();
+	const transport = transports[name];
+
+	if (!transport) {
+		throw new Error(`Unknown mail transport: ${name}`);
+	}
+
+	return transport;
+};
+
+/**
+ * Send an email rendered by one of the templates
+ * @param {string} to - Recipient address
+ * @param {Object} content - Subject, html and text from a template
+ * @returns {Promise<Object>} - Message ID
+ */
+export const sendMail = async (to, { subject, html, text }) => {
+	return getMailTransport().send({
+		from: process.env.MAIL_FROM || "Obito <no-reply@obito.app>",
+		to,
+		subject,
+		html,
+		text,
+	});
+};
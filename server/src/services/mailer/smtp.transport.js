@@ -0,0 +1,46 @@
+// src/services/mailer/smtp.transport.js
+import nodemailer from "nodemailer";
+
+let transporter;
+
+/**
+ * Create the SMTP connection on first use from the SMTP_* settings
+ * @returns {Object} - Nodemailer transporter
+ */
+const getTransporter = () => {
+	if (!transporter) {
+		if (!process.env.SMTP_HOST) {
+			throw new Error("SMTP_HOST is not configured");
+		}
+
+		const port = parseInt(process.env.SMTP_PORT) || 587;
+
+		transporter = nodemailer.createTransport({
+			host: process.env.SMTP_HOST,
+			port,
+			secure: port === 465,
+			...(process.env.SMTP_USER && {
+				auth: {
+					user: process.env.SMTP_USER,
+					pass: process.env.SMTP_PASSWORD,
+				},
+			}),
+		});
+	}
+
+	return transporter;
+};
+
+export const smtpTransport = {
+	name: "smtp",
+
+	/**
+	 * Send a message through the SMTP server
+	 * @param {Object} message - From, to, subject, html and text
+	 * @returns {Promise<Object>} - Message ID
+	 */
+	async send(message) {
+		const info = await getTransporter().sendMail(message);
+		return { messageId: info.messageId };
+	},
+};
@@ -0,0 +1,43 @@
+// src/services/mailer/templates/invite.template.js
+import { escapeHtml } from "../../../utils/html.utils.js";
+import { renderLayout } from "./layout.js";
+
+/**
+ * Render the email inviting someone to join a group
+ * @param {Object} params
+ * @param {string} params.inviterName - Member who sent the invite
+ * @param {string} params.groupName - Group being joined
+ * @param {string} params.acceptUrl - Link that accepts the invite
+ * @param {Date} params.expiresAt - When the invite stops working
+ * @returns {Object} - Subject, html and text
+ */
+export const renderInviteEmail = ({
+	inviterName,
+	groupName,
+	acceptUrl,
+	expiresAt,
+}) => {
+	const expiry = new Date(expiresAt).toDateString();
+	const subject = `${inviterName} invited you to join ${groupName} on Obito`;
+
+	const text = [
+		`${inviterName} invited you to join "${groupName}" on Obito to split expenses together.`,
+		"",
+		`Accept the invitation: ${acceptUrl}`,
+		"",
+		`This invitation expires on ${expiry}. If you weren't expecting it, you can ignore this email.`,
+	].join("\n");
+
+	const html = renderLayout(
+		subject,
+		`<p><strong>${escapeHtml(inviterName)}</strong> invited you to join
+<strong>${escapeHtml(
+			groupName
+		)}</strong> on Obito to split expenses together.</p>
+<p><a class="button" href="${escapeHtml(acceptUrl)}">Accept invitation</a></p>
+<p class="muted">This invitation expires on ${escapeHtml(expiry)}.
+If you weren't expecting it, you can ignore this email.</p>`
+	);
+
+	return { subject, html, text };
+};
@@ -0,0 +1,25 @@
+// src/services/mailer/templates/layout.js
+import { escapeHtml } from "../../../utils/html.utils.js";
+
+/**
+ * Wrap an email body in the shared HTML layout
+ * @param {string} title - Document title
+ * @param {string} body - Body HTML, already escaped
+ * @returns {string} - HTML document
+ */
+export const renderLayout = (title, body) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: Arial, sans-serif; color: #222; max-width: 560px; margin: 32px auto; line-height: 1.5; }
+.button { display: inline-block; padding: 10px 18px; background: #4f46e5; color: #fff; text-decoration: none; border-radius: 6px; }
+.muted { color: #666; font-size: 13px; }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
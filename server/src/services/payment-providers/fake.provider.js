@@ -0,0 +1,266 @@
+// src/services/payment-providers/fake.provider.js
+import crypto from "crypto";
+
+// In-process stand-in for Stripe, for local development and automated
+// tests. Payment intents only live in memory, and webhook events are
+// shaped like Stripe's so the same handlers process them.
+const paymentIntents = new Map();
+const connectedAccounts = new Map();
+
+const generateId = (prefix) =>
+	`${prefix}_fake_${crypto.randomBytes(12).toString("hex")}`;
+
+export const fakeProvider = {
+	name: "fake",
+
+	/**
+	 * Create a payment intent
+	 * @param {Object} params
+	 * @param {number} params.amount - Minor units to charge
+	 * @param {string} params.currency - Currency code
+	 * @param {Object} params.metadata - Metadata echoed back in webhooks
+	 * @param {string} [params.destinationAccountId] - Connected account to route the funds to
+	 * @param {number} [params.applicationFeeAmount] - Minor units the platform keeps from a routed charge
+	 * @returns {Promise<Object>} - Payment intent
+	 */
+	async createPaymentIntent({
+		amount,
+		currency,
+		metadata,
+		destinationAccountId,
+		applicationFeeAmount,
+	}) {
+		if (destinationAccountId && !connectedAccounts.has(destinationAccountId)) {
+			throw new Error(`No such account: ${destinationAccountId}`);
+		}
+
+		const id = generateId("pi");
+		const paymentIntent = {
+			id,
+			clientSecret: `${id}_secret_${crypto.randomBytes(8).toString("hex")}`,
+			amount,
+			amountReceived: 0,
+			amountRefunded: 0,
+			currency: currency.toLowerCase(),
+			status: "requires_payment_method",
+			metadata: { ...metadata },
+			chargeId: generateId("ch"),
+			destinationAccountId: destinationAccountId || null,
+			applicationFeeAmount: applicationFeeAmount || 0,
+		};
+
+		paymentIntents.set(id, paymentIntent);
+
+		return { ...paymentIntent };
+	},
+
+	/**
+	 * Retrieve a payment intent
+	 * @param {string} paymentIntentId - Payment intent ID
+	 * @returns {Promise<Object>} - Payment intent
+	 */
+	async retrievePaymentIntent(paymentIntentId) {
+		const paymentIntent = paymentIntents.get(paymentIntentId);
+
+		if (!paymentIntent) {
+			throw new Error(`No such payment intent: ${paymentIntentId}`);
+		}
+
+		return { ...paymentIntent };
+	},
+
+	/**
+	 * Refund part or all of a payment intent
+	 * @param {Object} params
+	 * @param {string} params.paymentIntentId - Payment intent ID
+	 * @param {number} params.amount - Minor units to refund
+	 * @returns {Promise<Object>} - Refund ID and amount
+	 */
+	async createRefund({ paymentIntentId, amount }) {
+		const paymentIntent = paymentIntents.get(paymentIntentId);
+
+		if (!paymentIntent || paymentIntent.status !== "succeeded") {
+			throw new Error("Only succeeded payments can be refunded");
+		}
+
+		if (paymentIntent.amountRefunded + amount > paymentIntent.amountReceived) {
+			throw new Error("Refund exceeds the amount received");
+		}
+
+		paymentIntent.amountRefunded += amount;
+
+		return { id: generateId("re"), amount };
+	},
+
+	/**
+	 * Look up the payment intent a charge belongs to
+	 * @param {string} chargeId - Charge ID
+	 * @returns {Promise<string>} - Payment intent ID
+	 */
+	async getChargePaymentIntentId(chargeId) {
+		const paymentIntent = [...paymentIntents.values()].find(
+			(intent) => intent.chargeId === chargeId
+		);
+
+		if (!paymentIntent) {
+			throw new Error(`No such charge: ${chargeId}`);
+		}
+
+		return paymentIntent.id;
+	},
+
+	/**
+	 * Create a connected account to receive payouts
+	 * @param {Object} params
+	 * @param {string} params.email - Account holder email
+	 * @returns {Promise<Object>} - Connected account
+	 */
+	async createConnectedAccount({ email }) {
+		const account = {
+			id: generateId("acct"),
+			email,
+			detailsSubmitted: false,
+			payoutsEnabled: false,
+		};
+
+		connectedAccounts.set(account.id, account);
+
+		return { ...account };
+	},
+
+	/**
+	 * Retrieve a connected account
+	 * @param {string} accountId - Connected account ID
+	 * @returns {Promise<Object>} - Connected account
+	 */
+	async retrieveConnectedAccount(accountId) {
+		const account = connectedAccounts.get(accountId);
+
+		if (!account) {
+			throw new Error(`No such account: ${accountId}`);
+		}
+
+		return { ...account };
+	},
+
+	/**
+	 * Create an onboarding link. There is nothing to fill in, so the account
+	 * is ready for payouts as soon as the link is issued.
+	 * @param {string} accountId - Connected account ID
+	 * @param {Object} urls
+	 * @param {string} urls.returnUrl - Where to send the user when they finish
+	 * @returns {Promise<Object>} - Link URL and expiry
+	 */
+	async createOnboardingLink(accountId, { returnUrl }) {
+		const account = connectedAccounts.get(accountId);
+
+		if (!account) {
+			throw new Error(`No such account: ${accountId}`);
+		}
+
+		account.detailsSubmitted = true;
+		account.payoutsEnabled = true;
+
+		return {
+			url: returnUrl,
+			expiresAt: new Date(Date.now() + 5 * 60 * 1000),
+		};
+	},
+
+	/**
+	 * Convert the object of an account.updated event
+	 * @param {Object} account - Account from the event
+	 * @returns {Object} - Connected account
+	 */
+	toConnectedAccount(account) {
+		return {
+			id: account.id,
+			detailsSubmitted: account.details_submitted,
+			payoutsEnabled: account.payouts_enabled,
+		};
+	},
+
+	/**
+	 * Parse a webhook event. Fake events are not signed.
+	 * @param {Buffer|string} rawBody - Raw request body
+	 * @returns {Object} - Event
+	 */
+	constructWebhookEvent(rawBody) {
+		return JSON.parse(rawBody.toString());
+	},
+
+	/**
+	 * Settle a payment intent and build the webhook event Stripe would send
+	 * @param {string} paymentIntentId - Payment intent ID
+	 * @param {string} outcome - "succeeded", "failed" or "refunded"
+	 * @param {Object} [options]
+	 * @param {string} [options.failureCode] - Decline code for failed payments
+	 * @returns {Object} - Stripe-shaped event
+	 */
+	simulateWebhookEvent(paymentIntentId, outcome, { failureCode } = {}) {
+		const paymentIntent = paymentIntents.get(paymentIntentId);
+
+		if (!paymentIntent) {
+			throw new Error(`No such payment intent: ${paymentIntentId}`);
+		}
+
+		let type;
+		let object;
+
+		if (outcome === "succeeded") {
+			paymentIntent.status = "succeeded";
+			paymentIntent.amountReceived = paymentIntent.amount;
+
+			type = "payment_intent.succeeded";
+			object = {
+				id: paymentIntent.id,
+				amount: paymentIntent.amount,
+				amount_received: paymentIntent.amountReceived,
+				currency: paymentIntent.currency,
+				status: paymentIntent.status,
+				metadata: paymentIntent.metadata,
+			};
+		} else if (outcome === "failed") {
+			paymentIntent.status = "requires_payment_method";
+			const code = failureCode || "card_declined";
+
+			type = "payment_intent.payment_failed";
+			object = {
+				id: paymentIntent.id,
+				amount: paymentIntent.amount,
+				currency: paymentIntent.currency,
+				status: paymentIntent.status,
+				metadata: paymentIntent.metadata,
+				last_payment_error: {
+					code,
+					message: `Simulated payment failure (${code})`,
+				},
+			};
+		} else if (outcome === "refunded") {
+			if (paymentIntent.status !== "succeeded") {
+				throw new Error("Only succeeded payments can be refunded");
+			}
+
+			paymentIntent.amountRefunded = paymentIntent.amountReceived;
+
+			type = "charge.refunded";
+			object = {
+				id: paymentIntent.chargeId,
+				payment_intent: paymentIntent.id,
+				amount: paymentIntent.amountReceived,
+				amount_refunded: paymentIntent.amountRefunded,
+				currency: paymentIntent.currency,
+			};
+		} else {
+			throw new Error(`Unknown outcome: ${outcome}`);
+		}
+
+		return {
+			id: generateId("evt"),
+			object: "event",
+			type,
+			created: Math.floor(Date.now() / 1000),
+			data: { object },
+		};
+	},
+};
@@ -0,0 +1,33 @@
+// src/services/payment-providers/index.js
+import { stripeProvider } from "./stripe.provider.js";
+import { fakeProvider } from "./fake.provider.js";
+
+// Every provider implements createPaymentIntent, retrievePaymentIntent,
+// createRefund, getChargePaymentIntentId and constructWebhookEvent, plus
+// createConnectedAccount, retrieveConnectedAccount, createOnboardingLink and
+// toConnectedAccount for routing payments to the member being paid
+const providers = {
+	stripe: stripeProvider,
+	fake: fakeProvider,
+};
+
+/**
+ * Get the payment provider selected by PAYMENT_PROVIDER (defaults to Stripe).
+ * The fake provider marks payments as paid without charging anyone, so it
+ * can't be used in production.
+ * @returns {Object} - Payment provider
+ */
+export const getPaymentProvider = () => {
+	const name = (process.env.PAYMENT_PROVIDER || "stripe").toLowerCase();
+	const provider = providers[name];
+
+	if (!provider) {
+		throw new Error(`Unknown payment provider: ${name}`);
+	}
+
+	if (name === "fake" && process.env.NODE_ENV === "production") {
+		throw new Error("The fake payment provider can't be used in production");
+	}
+
+	return provider;
+};
@@ -0,0 +1,210 @@
+// src/services/payment-providers/stripe.provider.js
+import Stripe from "stripe";
+
+let stripe;
+
+/**
+ * Create the Stripe client on first use, so the app can start without a key
+ * when another provider is selected
+ * @returns {Stripe} - Stripe client
+ */
+const getStripe = () => {
+	if (!stripe) {
+		if (!process.env.STRIPE_SECRET_KEY) {
+			throw new Error("STRIPE_SECRET_KEY is not configured");
+		}
+
+		stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+	}
+
+	return stripe;
+};
+
+/**
+ * Convert a Stripe Connect account into the provider-neutral shape
+ * @param {Object} account - Stripe account
+ * @returns {Object} - Connected account
+ */
+const toConnectedAccount = (account) => ({
+	id: account.id,
+	detailsSubmitted: account.details_submitted,
+	payoutsEnabled: account.payouts_enabled,
+});
+
+/**
+ * Convert a Stripe payment intent into the provider-neutral shape
+ * @param {Object} paymentIntent - Stripe payment intent
+ * @returns {Object} - Payment intent
+ */
+const toPaymentIntent = (paymentIntent) => ({
+	id: paymentIntent.id,
+	clientSecret: paymentIntent.client_secret,
+	amount: paymentIntent.amount,
+	amountReceived: paymentIntent.amount_received,
+	currency: paymentIntent.currency,
+	status: paymentIntent.status,
+	metadata: paymentIntent.metadata,
+});
+
+export const stripeProvider = {
+	name: "stripe",
+
+	/**
+	 * Create a payment intent
+	 * @param {Object} params
+	 * @param {number} params.amount - Minor units to charge
+	 * @param {string} params.currency - Currency code
+	 * @param {Object} params.metadata - Metadata echoed back in webhooks
+	 * @param {string} [params.description] - Charge description
+	 * @param {string} [params.receiptEmail] - Where to send the receipt
+	 * @param {string} [params.destinationAccountId] - Connected account to route the funds to
+	 * @param {number} [params.applicationFeeAmount] - Minor units the platform keeps from a routed charge
+	 * @returns {Promise<Object>} - Payment intent
+	 */
+	async createPaymentIntent({
+		amount,
+		currency,
+		metadata,
+		description,
+		receiptEmail,
+		destinationAccountId,
+		applicationFeeAmount,
+	}) {
+		const paymentIntent = await getStripe().paymentIntents.create({
+			amount,
+			currency: currency.toLowerCase(),
+			metadata,
+			description,
+			...(receiptEmail && { receipt_email: receiptEmail }),
+			// Destination charge: the connected account receives the payment
+			...(destinationAccountId && {
+				transfer_data: { destination: destinationAccountId },
+			}),
+			...(destinationAccountId &&
+				applicationFeeAmount > 0 && {
+					application_fee_amount: applicationFeeAmount,
+				}),
+		});
+
+		return toPaymentIntent(paymentIntent);
+	},
+
+	/**
+	 * Retrieve a payment intent
+	 * @param {string} paymentIntentId - Payment intent ID
+	 * @returns {Promise<Object>} - Payment intent
+	 */
+	async retrievePaymentIntent(paymentIntentId) {
+		const paymentIntent = await getStripe().paymentIntents.retrieve(
+			paymentIntentId
+		);
+
+		return toPaymentIntent(paymentIntent);
+	},
+
+	/**
+	 * Refund part or all of a payment intent
+	 * @param {Object} params
+	 * @param {string} params.paymentIntentId - Payment intent ID
+	 * @param {number} params.amount - Minor units to refund
+	 * @param {Object} [params.metadata] - Refund metadata
+	 * @param {boolean} [params.reverseTransfer] - Pull the funds back from the connected account
+	 * @returns {Promise<Object>} - Refund ID and amount
+	 */
+	async createRefund({ paymentIntentId, amount, metadata, reverseTransfer }) {
+		const refund = await getStripe().refunds.create({
+			payment_intent: paymentIntentId,
+			amount,
+			metadata,
+			...(reverseTransfer && {
+				reverse_transfer: true,
+				refund_application_fee: true,
+			}),
+		});
+
+		return { id: refund.id, amount: refund.amount };
+	},
+
+	/**
+	 * Look up the payment intent a charge belongs to
+	 * @param {string} chargeId - Charge ID
+	 * @returns {Promise<string>} - Payment intent ID
+	 */
+	async getChargePaymentIntentId(chargeId) {
+		const charge = await getStripe().charges.retrieve(chargeId);
+		return charge.payment_intent;
+	},
+
+	/**
+	 * Create an Express connected account to receive payouts
+	 * @param {Object} params
+	 * @param {string} params.email - Account holder email
+	 * @param {Object} [params.metadata] - Account metadata
+	 * @returns {Promise<Object>} - Connected account
+	 */
+	async createConnectedAccount({ email, metadata }) {
+		const account = await getStripe().accounts.create({
+			type: "express",
+			email,
+			metadata,
+			capabilities: {
+				transfers: { requested: true },
+			},
+		});
+
+		return toConnectedAccount(account);
+	},
+
+	/**
+	 * Retrieve a connected account
+	 * @param {string} accountId - Connected account ID
+	 * @returns {Promise<Object>} - Connected account
+	 */
+	async retrieveConnectedAccount(accountId) {
+		const account = await getStripe().accounts.retrieve(accountId);
+		return toConnectedAccount(account);
+	},
+
+	/**
+	 * Create a hosted onboarding link for a connected account
+	 * @param {string} accountId - Connected account ID
+	 * @param {Object} urls
+	 * @param {string} urls.refreshUrl - Where to send the user if the link expires
+	 * @param {string} urls.returnUrl - Where to send the user when they finish
+	 * @returns {Promise<Object>} - Link URL and expiry
+	 */
+	async createOnboardingLink(accountId, { refreshUrl, returnUrl }) {
+		const accountLink = await getStripe().accountLinks.create({
+			account: accountId,
+			refresh_url: refreshUrl,
+			return_url: returnUrl,
+			type: "account_onboarding",
+		});
+
+		return {
+			url: accountLink.url,
+			expiresAt: new Date(accountLink.expires_at * 1000),
+		};
+	},
+
+	/**
+	 * Convert the object of an account.updated event
+	 * @param {Object} account - Stripe account from the event
+	 * @returns {Object} - Connected account
+	 */
+	toConnectedAccount,
+
+	/**
+	 * Verify a webhook signature and parse the event
+	 * @param {Buffer} rawBody - Raw request body
+	 * @param {string} signature - Stripe-Signature header
+	 * @returns {Object} - Stripe event
+	 */
+	constructWebhookEvent(rawBody, signature) {
+		return getStripe().webhooks.constructEvent(
+			rawBody,
+			signature,
+			process.env.STRIPE_WEBHOOK_SECRET
+		);
+	},
+};
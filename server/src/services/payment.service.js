@@ -1,19 +1,96 @@
 // src/services/payment.service.js
-import Stripe from "stripe";
 import prisma from "../db.js";
-import dotenv from "dotenv";
+import { getPaymentProvider } from "./payment-providers/index.js";
+import { getPayoutRouting } from "./payout.service.js";
+import {
+	allocate,
+	fromMinorUnits,
+	toMinorUnits,
+} from "../utils/money.utils.js";
+import { getGroupSettings } from "../utils/group-settings.utils.js";
 
-dotenv.config();
+/**
+ * Get how much of a share is still left to pay
+ * @param {Object} share - Expense share
+ * @returns {number} - Outstanding minor units
+ */
+export const getOutstandingAmount = (share) => {
+	return Math.max(share.amount - share.paidAmount, 0);
+};
+
+/**
+ * Record a payment towards a share and update its running paid amount
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} share - Expense share being paid
+ * @param {Object} payment - Payment details
+ * @param {number} payment.amount - Minor units of the expense currency
+ * @param {string} payment.method - "stripe" for card payments through the payment provider, or "settlement"
+ * @param {string} [payment.paymentIntentId] - Payment intent ID
+ * @param {string} [payment.settlementId] - Settlement ID
+ * @param {string} [payment.bundleId] - Payment bundle ID
+ * @param {number} [payment.refundedAmount] - Part of the amount being refunded straight away
+ * @returns {Promise<Object>} - Created payment record
+ */
+export const recordSharePayment = async (tx, share, payment) => {
+	const refundedAmount = payment.refundedAmount || 0;
+
+	const sharePayment = await tx.sharePayment.create({
+		data: {
+			expenseShareId: share.id,
+			amount: payment.amount,
+			method: payment.method,
+			paymentIntentId: payment.paymentIntentId,
+			settlementId: payment.settlementId,
+			bundleId: payment.bundleId,
+			...(refundedAmount > 0 && {
+				refundedAmount,
+				status:
+					refundedAmount >= payment.amount ? "refunded" : "partially_refunded",
+			}),
+		},
+	});
+
+	const paidAmount = share.paidAmount + payment.amount - refundedAmount;
+
+	await tx.expenseShare.update({
+		where: { id: share.id },
+		data: {
+			paidAmount,
+			paid: paidAmount >= share.amount,
+			paidAt: new Date(),
+		},
+	});
+
+	return sharePayment;
+};
 
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+/**
+ * Mark the attempt behind a payment intent as succeeded. A card can fail
+ * and then succeed on the same intent, so earlier failures are overwritten.
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} paymentIntentId - Payment intent ID
+ * @returns {Promise<void>}
+ */
+const markAttemptSucceeded = async (tx, paymentIntentId) => {
+	await tx.paymentAttempt.updateMany({
+		where: { paymentIntentId, status: { not: "succeeded" } },
+		data: {
+			status: "succeeded",
+			failureCode: null,
+			failureMessage: null,
+			succeededAt: new Date(),
+		},
+	});
+};
 
 /**
  * Create a payment intent for a user to pay their share
  * @param {string} userId - User making the payment
  * @param {string} expenseId - Expense being paid
+ * @param {number} [amount] - Decimal amount to pay now, defaults to the outstanding remainder
  * @returns {Promise<Object>} - Payment intent details
  */
-export const createPaymentIntent = async (userId, expenseId) => {
+export const createPaymentIntent = async (userId, expenseId, amount) => {
 	try {
 		// Get the expense share
 		const share = await prisma.expenseShare.findUnique({
@@ -35,6 +112,7 @@ export const createPaymentIntent = async (userId, expenseId) => {
 							},
 						},
 						group: true,
+						payers: true,
 					},
 				},
 				user: {
@@ -56,13 +134,36 @@ export const createPaymentIntent = async (userId, expenseId) => {
 			throw new Error("This expense share has already been paid");
 		}
 
-		// Calculate amount in cents (Stripe uses smallest currency unit)
-		const amountInCents = Math.round(share.amount * 100);
+		// Pay part of the share, or whatever is left of it
+		const outstanding = getOutstandingAmount(share);
+		const paymentAmount =
+			amount === undefined
+				? outstanding
+				: toMinorUnits(amount, share.expense.currency);
+
+		if (paymentAmount <= 0 || paymentAmount > outstanding) {
+			throw new Error(
+				`Payment amount must be between 0 and the outstanding ${fromMinorUnits(
+					outstanding,
+					share.expense.currency
+				)} ${share.expense.currency}`
+			);
+		}
+
+		// Send the money to whoever fronted the expense. A charge can only go
+		// to one account, so when several members paid it stays with the
+		// platform, matching the balances that credit each of them.
+		const routing =
+			share.expense.payers.length > 1
+				? { destinationAccountId: null, applicationFeeAmount: 0 }
+				: await getPayoutRouting(share.expense.paidById, paymentAmount);
 
-		// Create a payment intent
-		const paymentIntent = await stripe.paymentIntents.create({
-			amount: amountInCents,
-			currency: "usd", // You can make this configurable
+		// Shares are stored in minor units, which is what Stripe expects
+		// Charge in the currency the expense was recorded in
+		const paymentIntent = await getPaymentProvider().createPaymentIntent({
+			...routing,
+			amount: paymentAmount,
+			currency: share.expense.currency,
 			metadata: {
 				expenseId,
 				userId,
@@ -70,17 +171,36 @@ export const createPaymentIntent = async (userId, expenseId) => {
 				groupId: share.expense.groupId,
 				description: share.expense.description,
 			},
-			receipt_email: share.user.email,
+			receiptEmail: share.user.email,
 			description: `Payment for "${share.expense.description}" in group "${share.expense.group.name}"`,
 		});
 
+		const attempt = await prisma.paymentAttempt.create({
+			data: {
+				paymentIntentId: paymentIntent.id,
+				amount: paymentAmount,
+				currency: share.expense.currency,
+				payerId: userId,
+				expenseShareId: share.id,
+				...routing,
+			},
+		});
+
 		return {
-			clientSecret: paymentIntent.client_secret,
+			clientSecret: paymentIntent.clientSecret,
 			paymentIntentId: paymentIntent.id,
-			amount: share.amount,
+			attemptId: attempt.id,
+			amount: fromMinorUnits(paymentAmount, share.expense.currency),
+			outstanding: fromMinorUnits(outstanding, share.expense.currency),
+			currency: share.expense.currency,
 			description: share.expense.description,
 			group: share.expense.group.name,
 			paidTo: share.expense.paidBy,
+			routedToPayee: Boolean(routing.destinationAccountId),
+			platformFee: fromMinorUnits(
+				routing.applicationFeeAmount,
+				share.expense.currency
+			),
 		};
 	} catch (error) {
 		console.error("Create payment intent error:", error);
@@ -89,29 +209,82 @@ export const createPaymentIntent = async (userId, expenseId) => {
 };
 
 /**
- * Update expense share as paid after successful payment
- * @param {string} paymentIntentId - Stripe payment intent ID
- * @returns {Promise<Object>} - Updated expense share
+ * Record a successful payment against its expense share. Partial payments
+ * add to the share's paid amount until the whole share is covered. If other
+ * payments covered the share since the intent was created, whatever the
+ * charge paid beyond the outstanding amount is refunded to the payer.
+ * @param {string} paymentIntentId - Payment intent ID
+ * @returns {Promise<Object>} - Updated expense share, with the recorded payment
  */
 export const markShareAsPaid = async (paymentIntentId) => {
 	try {
 		// Retrieve the payment intent to get metadata
-		const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+		const paymentIntent = await getPaymentProvider().retrievePaymentIntent(
+			paymentIntentId
+		);
 
 		if (!paymentIntent || paymentIntent.status !== "succeeded") {
 			throw new Error("Payment not successful");
 		}
 
-		const { expenseId, userId, shareId } = paymentIntent.metadata;
+		const { shareId } = paymentIntent.metadata;
 
-		// Update the expense share in the database
-		const updatedShare = await prisma.expenseShare.update({
-			where: { id: shareId },
-			data: {
-				paid: true,
-				paidAt: new Date(),
+		// Record the payment once, even if the webhook is delivered again
+		const payment = await prisma.$transaction(async (tx) => {
+			const existingPayment = await tx.sharePayment.findUnique({
+				where: { paymentIntentId },
+			});
+
+			if (existingPayment) {
+				return { ...existingPayment, overpaid: 0 };
+			}
+
+			const share = await tx.expenseShare.findUnique({
+				where: { id: shareId },
+			});
+
+			if (!share) {
+				throw new Error("Expense share not found");
+			}
+
+			await markAttemptSucceeded(tx, paymentIntentId);
+
+			// Recorded as refunded before refunding so the charge.refunded
+			// webhook for the overpayment finds nothing left to reverse
+			const overpaid = Math.max(
+				paymentIntent.amountReceived - getOutstandingAmount(share),
+				0
+			);
+			const sharePayment = await recordSharePayment(tx, share, {
+				amount: paymentIntent.amountReceived,
+				refundedAmount: overpaid,
+				method: "stripe",
 				paymentIntentId,
-			},
+			});
+
+			return { ...sharePayment, overpaid };
+		});
+
+		if (payment.overpaid > 0) {
+			const attempt = await prisma.paymentAttempt.findUnique({
+				where: { paymentIntentId },
+			});
+
+			// A failed refund is logged; the payment still shows it as refunded
+			try {
+				await getPaymentProvider().createRefund({
+					paymentIntentId,
+					amount: payment.overpaid,
+					metadata: { shareId, reason: "overpaid" },
+					reverseTransfer: Boolean(attempt?.destinationAccountId),
+				});
+			} catch (error) {
+				console.error("Refund share overpayment error:", error);
+			}
+		}
+
+		const updatedShare = await prisma.expenseShare.findUnique({
+			where: { id: shareId },
 			include: {
 				expense: {
 					include: {
@@ -129,7 +302,7 @@ export const markShareAsPaid = async (paymentIntentId) => {
 			},
 		});
 
-		return updatedShare;
+		return { ...updatedShare, payment };
 	} catch (error) {
 		console.error("Mark share as paid error:", error);
 		throw error;
@@ -137,7 +310,581 @@ export const markShareAsPaid = async (paymentIntentId) => {
 };
 
 /**
- * Get all unpaid shares for a user
+ * Create a single payment intent covering every unpaid share a user owes
+ * one payer, so they can be cleared with one card charge
+ * @param {string} userId - User making the payment
+ * @param {string} payeeId - User who paid for the expenses
+ * @param {Object} [options]
+ * @param {string} [options.groupId] - Only include shares in this group
+ * @param {Array<string>} [options.groupIds] - Only include shares in these groups
+ * @param {string} [options.currency] - Only include shares in this currency
+ * @returns {Promise<Object>} - Payment intent and bundle details
+ */
+export const createBundlePaymentIntent = async (
+	userId,
+	payeeId,
+	{ groupId, groupIds, currency } = {}
+) => {
+	try {
+		const unpaidShares = await prisma.expenseShare.findMany({
+			where: {
+				userId,
+				paid: false,
+				expense: {
+					paidById: payeeId,
+					...(groupIds && { groupId: { in: groupIds } }),
+					...(groupId && { groupId }),
+					...(currency && { currency }),
+				},
+			},
+			include: {
+				expense: {
+					include: { payers: true },
+				},
+			},
+			orderBy: {
+				expense: {
+					createdAt: "asc",
+				},
+			},
+		});
+
+		if (unpaidShares.length === 0) {
+			throw new Error("No unpaid shares owed to this user");
+		}
+
+		// A payment intent can only charge one currency
+		const currencies = [
+			...new Set(unpaidShares.map((share) => share.expense.currency)),
+		];
+		if (currencies.length > 1) {
+			throw new Error(
+				`Shares are in several currencies (${currencies.join(
+					", "
+				)}), choose one to pay`
+			);
+		}
+
+		const bundleCurrency = currencies[0];
+		const items = unpaidShares.map((share) => ({
+			expenseShareId: share.id,
+			amount: getOutstandingAmount(share),
+		}));
+		const amount = items.reduce((sum, item) => sum + item.amount, 0);
+
+		const payee = await prisma.user.findUnique({
+			where: { id: payeeId },
+			select: {
+				id: true,
+				firstName: true,
+				lastName: true,
+			},
+		});
+
+		const bundle = await prisma.paymentBundle.create({
+			data: {
+				payerId: userId,
+				payeeId,
+				groupId,
+				amount,
+				currency: bundleCurrency,
+				items: {
+					create: items,
+				},
+			},
+		});
+
+		// Expenses several members paid for are credited to each of them, so
+		// their money can't all be routed to the payee
+		const routing = unpaidShares.some(
+			(share) => share.expense.payers.length > 1
+		)
+			? { destinationAccountId: null, applicationFeeAmount: 0 }
+			: await getPayoutRouting(payeeId, amount);
+
+		const paymentIntent = await getPaymentProvider().createPaymentIntent({
+			...routing,
+			amount,
+			currency: bundleCurrency,
+			metadata: {
+				bundleId: bundle.id,
+				userId,
+				payeeId,
+			},
+			description: `Payment of ${items.length} shares to ${payee.firstName} ${payee.lastName}`,
+		});
+
+		await prisma.paymentBundle.update({
+			where: { id: bundle.id },
+			data: { paymentIntentId: paymentIntent.id },
+		});
+
+		const attempt = await prisma.paymentAttempt.create({
+			data: {
+				paymentIntentId: paymentIntent.id,
+				amount,
+				currency: bundleCurrency,
+				payerId: userId,
+				bundleId: bundle.id,
+				...routing,
+			},
+		});
+
+		return {
+			clientSecret: paymentIntent.clientSecret,
+			paymentIntentId: paymentIntent.id,
+			attemptId: attempt.id,
+			bundleId: bundle.id,
+			amount: fromMinorUnits(amount, bundleCurrency),
+			currency: bundleCurrency,
+			shareCount: items.length,
+			paidTo: payee,
+			routedToPayee: Boolean(routing.destinationAccountId),
+			platformFee: fromMinorUnits(routing.applicationFeeAmount, bundleCurrency),
+		};
+	} catch (error) {
+		console.error("Create bundle payment intent error:", error);
+		throw error;
+	}
+};
+
+/**
+ * Mark every share in a payment bundle as paid in one transaction. Shares
+ * paid some other way since the bundle was created only take what is still
+ * outstanding; the rest is recorded as overpaid and refunded to the payer.
+ * @param {string} paymentIntentId - Payment intent ID
+ * @returns {Promise<Object>} - Paid bundle with its shares
+ */
+export const markBundleAsPaid = async (paymentIntentId) => {
+	try {
+		const paymentIntent = await getPaymentProvider().retrievePaymentIntent(
+			paymentIntentId
+		);
+
+		if (!paymentIntent || paymentIntent.status !== "succeeded") {
+			throw new Error("Payment not successful");
+		}
+
+		const { bundleId } = paymentIntent.metadata;
+
+		const overpaidAmount = await prisma.$transaction(async (tx) => {
+			const bundle = await tx.paymentBundle.findUnique({
+				where: { id: bundleId },
+				include: {
+					items: {
+						include: { expenseShare: true },
+					},
+				},
+			});
+
+			if (!bundle) {
+				throw new Error("Payment bundle not found");
+			}
+
+			// Webhooks can be delivered more than once
+			if (bundle.status === "succeeded") {
+				return 0;
+			}
+
+			let overpaid = 0;
+
+			for (const item of bundle.items) {
+				const amount = Math.min(
+					item.amount,
+					getOutstandingAmount(item.expenseShare)
+				);
+				overpaid += item.amount - amount;
+
+				if (amount > 0) {
+					await recordSharePayment(tx, item.expenseShare, {
+						amount,
+						method: "stripe",
+						bundleId,
+					});
+				}
+			}
+
+			// Recorded before refunding so the charge.refunded webhook for the
+			// overpayment finds nothing left to reverse
+			await tx.paymentBundle.update({
+				where: { id: bundleId },
+				data: { status: "succeeded", overpaidAmount: overpaid },
+			});
+
+			await markAttemptSucceeded(tx, paymentIntentId);
+
+			return overpaid;
+		});
+
+		if (overpaidAmount > 0) {
+			const attempt = await prisma.paymentAttempt.findUnique({
+				where: { paymentIntentId },
+			});
+
+			// A failed refund leaves overpaidAmount on the bundle to refund by hand
+			try {
+				await getPaymentProvider().createRefund({
+					paymentIntentId,
+					amount: overpaidAmount,
+					metadata: { bundleId, reason: "overpaid" },
+					reverseTransfer: Boolean(attempt?.destinationAccountId),
+				});
+			} catch (error) {
+				console.error("Refund bundle overpayment error:", error);
+			}
+		}
+
+		return prisma.paymentBundle.findUnique({
+			where: { id: bundleId },
+			include: {
+				payer: {
+					select: {
+						id: true,
+						firstName: true,
+						lastName: true,
+					},
+				},
+				items: {
+					include: {
+						expenseShare: {
+							include: { expense: true },
+						},
+					},
+				},
+			},
+		});
+	} catch (error) {
+		console.error("Mark bundle as paid error:", error);
+		throw error;
+	}
+};
+
+/**
+ * Record why a payment intent failed. Attempts that already succeeded are
+ * left alone, since failure events can arrive after a later success.
+ * @param {string} paymentIntentId - Payment intent ID
+ * @param {Object} failure
+ * @param {string} [failure.code] - Decline or error code
+ * @param {string} [failure.message] - Reason shown to the payer
+ * @returns {Promise<Object|null>} - Failed attempt with its share or bundle, or null if there is nothing to update
+ */
+export const markAttemptFailed = async (paymentIntentId, { code, message }) => {
+	try {
+		const attempt = await prisma.paymentAttempt.findUnique({
+			where: { paymentIntentId },
+		});
+
+		if (!attempt || attempt.status === "succeeded") {
+			return null;
+		}
+
+		return prisma.$transaction(async (tx) => {
+			if (attempt.bundleId) {
+				await tx.paymentBundle.update({
+					where: { id: attempt.bundleId },
+					data: { status: "failed" },
+				});
+			}
+
+			return tx.paymentAttempt.update({
+				where: { id: attempt.id },
+				data: {
+					status: "failed",
+					failureCode: code || null,
+					failureMessage: message || null,
+					failedAt: new Date(),
+				},
+				include: {
+					expenseShare: {
+						include: { expense: true },
+					},
+					bundle: true,
+				},
+			});
+		});
+	} catch (error) {
+		console.error("Mark attempt as failed error:", error);
+		throw error;
+	}
+};
+
+/**
+ * Get every payment attempt that covered a share, directly or in a bundle
+ * @param {string} shareId - Expense share ID
+ * @returns {Promise<Array>} - Attempts, most recent first
+ */
+export const getShareAttempts = async (shareId) => {
+	return prisma.paymentAttempt.findMany({
+		where: {
+			OR: [
+				{ expenseShareId: shareId },
+				{ bundle: { items: { some: { expenseShareId: shareId } } } },
+			],
+		},
+		orderBy: { createdAt: "desc" },
+	});
+};
+
+/**
+ * Take back part of a recorded payment after a refund or dispute, so the
+ * share becomes unpaid or partially paid again
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} payment - Share payment including its expense share
+ * @param {number} amount - Minor units to reverse
+ * @param {string} reason - "refund" or "dispute"
+ * @returns {Promise<void>}
+ */
+const reverseSharePayment = async (tx, payment, amount, reason) => {
+	const refundedAmount = payment.refundedAmount + amount;
+	let status = "partially_refunded";
+	if (reason === "dispute") status = "disputed";
+	else if (refundedAmount >= payment.amount) status = "refunded";
+
+	await tx.sharePayment.update({
+		where: { id: payment.id },
+		data: { refundedAmount, status },
+	});
+
+	const paidAmount = Math.max(payment.expenseShare.paidAmount - amount, 0);
+
+	await tx.expenseShare.update({
+		where: { id: payment.expenseShare.id },
+		data: {
+			paidAmount,
+			paid: paidAmount >= payment.expenseShare.amount,
+			...(paidAmount === 0 && { paidAt: null }),
+		},
+	});
+};
+
+/**
+ * Get the shares affected by a reversal, for notifications
+ * @param {Array<string>} shareIds - Expense share IDs
+ * @returns {Promise<Array>} - Shares with their expense and user
+ */
+const getReversedShares = async (shareIds) => {
+	return prisma.expenseShare.findMany({
+		where: { id: { in: shareIds } },
+		include: {
+			expense: true,
+			user: {
+				select: {
+					id: true,
+					firstName: true,
+					lastName: true,
+				},
+			},
+		},
+	});
+};
+
+/**
+ * Reverse the payments made with a payment intent after Stripe refunded or
+ * disputed part of the charge. Bundled payments are reversed in proportion
+ * to what each share received.
+ * @param {string} paymentIntentId - Payment intent ID
+ * @param {Object} params
+ * @param {number} [params.amount] - Minor units to reverse
+ * @param {number} [params.totalRefunded] - Cumulative refunded minor units on the charge; only the part not yet recorded is reversed
+ * @param {string} params.reason - "refund" or "dispute"
+ * @returns {Promise<Array>} - Affected shares with their expense and user
+ */
+export const reversePaymentIntent = async (
+	paymentIntentId,
+	{ amount, totalRefunded, reason }
+) => {
+	try {
+		const shareIds = await prisma.$transaction(async (tx) => {
+			const payments = await tx.sharePayment.findMany({
+				where: {
+					OR: [{ paymentIntentId }, { bundle: { paymentIntentId } }],
+				},
+				include: { expenseShare: true },
+				orderBy: { createdAt: "asc" },
+			});
+
+			const reversible = payments.map(
+				(payment) => payment.amount - payment.refundedAmount
+			);
+			const bundle = await tx.paymentBundle.findUnique({
+				where: { paymentIntentId },
+				select: { overpaidAmount: true },
+			});
+
+			// Overpaid bundle amounts are refunded without a share payment
+			const alreadyRefunded = payments.reduce(
+				(sum, payment) => sum + payment.refundedAmount,
+				bundle?.overpaidAmount || 0
+			);
+
+			// Stripe reports refunds as a running total on the charge
+			const toReverse = Math.min(
+				amount ?? totalRefunded - alreadyRefunded,
+				reversible.reduce((sum, value) => sum + value, 0)
+			);
+
+			if (toReverse <= 0) {
+				return [];
+			}
+
+			const amounts = allocate(toReverse, reversible);
+			const affectedIds = [];
+
+			for (const [index, payment] of payments.entries()) {
+				if (amounts[index] > 0) {
+					await reverseSharePayment(tx, payment, amounts[index], reason);
+					affectedIds.push(payment.expenseShareId);
+				}
+			}
+
+			return affectedIds;
+		});
+
+		return getReversedShares(shareIds);
+	} catch (error) {
+		console.error("Reverse payment intent error:", error);
+		throw error;
+	}
+};
+
+/**
+ * Look up the payment intent a charge belongs to
+ * @param {string} chargeId - Charge ID
+ * @returns {Promise<string>} - Payment intent ID
+ */
+export const getChargePaymentIntentId = async (chargeId) => {
+	return getPaymentProvider().getChargePaymentIntentId(chargeId);
+};
+
+/**
+ * Refund card payments made towards a share, most recent payment first
+ * @param {string} shareId - Expense share ID
+ * @param {number} [amount] - Decimal amount to refund, defaults to everything paid by card
+ * @returns {Promise<Object>} - Refunded share with its expense and user, and the refunded minor units
+ */
+export const refundShare = async (shareId, amount) => {
+	try {
+		const share = await prisma.expenseShare.findUnique({
+			where: { id: shareId },
+			include: {
+				expense: true,
+				payments: {
+					where: { method: "stripe" },
+					include: { bundle: true },
+					orderBy: { createdAt: "desc" },
+				},
+			},
+		});
+
+		if (!share) {
+			throw new Error("Expense share not found");
+		}
+
+		const refundable = share.payments.reduce(
+			(sum, payment) => sum + payment.amount - payment.refundedAmount,
+			0
+		);
+		const refundAmount =
+			amount === undefined
+				? refundable
+				: toMinorUnits(amount, share.expense.currency);
+
+		if (refundAmount <= 0 || refundAmount > refundable) {
+			throw new Error(
+				`Refund amount must be between 0 and the ${fromMinorUnits(
+					refundable,
+					share.expense.currency
+				)} ${share.expense.currency} paid by card`
+			);
+		}
+
+		let remaining = refundAmount;
+
+		for (const payment of share.payments) {
+			const portion = Math.min(
+				remaining,
+				payment.amount - payment.refundedAmount
+			);
+
+			if (portion <= 0) {
+				continue;
+			}
+
+			const paymentIntentId =
+				payment.paymentIntentId || payment.bundle.paymentIntentId;
+			const attempt = await prisma.paymentAttempt.findUnique({
+				where: { paymentIntentId },
+			});
+
+			// Record the reversal before refunding so the charge.refunded
+			// webhook for this refund finds nothing left to reverse
+			await prisma.$transaction(async (tx) => {
+				const currentShare = await tx.expenseShare.findUnique({
+					where: { id: shareId },
+				});
+
+				await reverseSharePayment(
+					tx,
+					{ ...payment, expenseShare: currentShare },
+					portion,
+					"refund"
+				);
+			});
+
+			try {
+				// Charges routed to the payee are clawed back from their account
+				await getPaymentProvider().createRefund({
+					paymentIntentId,
+					amount: portion,
+					metadata: { shareId },
+					reverseTransfer: Boolean(attempt?.destinationAccountId),
+				});
+			} catch (error) {
+				// Nothing was refunded, so the payment still counts
+				await prisma.$transaction(async (tx) => {
+					const currentShare = await tx.expenseShare.findUnique({
+						where: { id: shareId },
+					});
+					const paidAmount = currentShare.paidAmount + portion;
+
+					await tx.sharePayment.update({
+						where: { id: payment.id },
+						data: {
+							refundedAmount: payment.refundedAmount,
+							status: payment.status,
+						},
+					});
+
+					await tx.expenseShare.update({
+						where: { id: shareId },
+						data: {
+							paidAmount,
+							paid: paidAmount >= currentShare.amount,
+							paidAt: currentShare.paidAt || payment.createdAt,
+						},
+					});
+				});
+
+				throw error;
+			}
+
+			remaining -= portion;
+			if (remaining === 0) {
+				break;
+			}
+		}
+
+		const [refundedShare] = await getReversedShares([shareId]);
+
+		return { share: refundedShare, refundedAmount: refundAmount };
+	} catch (error) {
+		console.error("Refund share error:", error);
+		throw error;
+	}
+};
+
+/**
+ * Get all unpaid shares for a user, with what is still outstanding on each
  * @param {string} userId - User ID
  * @returns {Promise<Array>} - List of unpaid shares
  */
@@ -166,6 +913,9 @@ export const getUserUnpaidShares = async (userId) => {
 						},
 					},
 				},
+				payments: {
+					orderBy: { createdAt: "asc" },
+				},
 			},
 			orderBy: {
 				expense: {
@@ -174,24 +924,224 @@ export const getUserUnpaidShares = async (userId) => {
 			},
 		});
 
-		return unpaidShares;
+		return unpaidShares.map((share) => ({
+			...share,
+			outstanding: getOutstandingAmount(share),
+		}));
 	} catch (error) {
 		console.error("Get user unpaid shares error:", error);
 		throw error;
 	}
 };
 
+const historyInclude = {
+	bundle: {
+		select: { paymentIntentId: true },
+	},
+	settlement: {
+		select: {
+			toUser: {
+				select: { id: true, firstName: true, lastName: true, email: true },
+			},
+		},
+	},
+	expenseShare: {
+		include: {
+			user: {
+				select: { id: true, firstName: true, lastName: true, email: true },
+			},
+			expense: {
+				include: {
+					group: {
+						select: { id: true, name: true },
+					},
+					paidBy: {
+						select: { id: true, firstName: true, lastName: true, email: true },
+					},
+				},
+			},
+		},
+	},
+};
+
+/**
+ * Get who received a share payment. Settlements can pay any of the
+ * expense's payers; everything else goes to the member who paid for it.
+ * @param {Object} payment - Share payment including historyInclude
+ * @returns {Object} - Receiving user
+ */
+const getPaymentPayee = (payment) =>
+	payment.settlement?.toUser || payment.expenseShare.expense.paidBy;
+
 /**
- * Send payment reminders for unpaid expense shares
+ * Where clause for share payments received by a user
+ * @param {string} payeeId - Receiving user ID
+ * @returns {Object} - Prisma where clause
+ */
+const paidTo = (payeeId) => ({
+	OR: [
+		{ settlement: { toUserId: payeeId } },
+		{ settlementId: null, expenseShare: { expense: { paidById: payeeId } } },
+	],
+});
+
+/**
+ * Shape a share payment from the point of view of one of its two parties
+ * @param {Object} payment - Share payment including historyInclude
+ * @param {string} userId - User viewing the payment
+ * @returns {Object} - History entry in minor units
+ */
+const toHistoryEntry = (payment, userId) => {
+	const share = payment.expenseShare;
+	const { expense } = share;
+	const payee = getPaymentPayee(payment);
+	const direction = share.userId === userId ? "sent" : "received";
+
+	return {
+		id: payment.id,
+		direction,
+		amount: payment.amount,
+		refundedAmount: payment.refundedAmount,
+		currency: expense.currency,
+		method: payment.method,
+		status: payment.status,
+		paymentIntentId:
+			payment.paymentIntentId || payment.bundle?.paymentIntentId || null,
+		bundleId: payment.bundleId,
+		settlementId: payment.settlementId,
+		createdAt: payment.createdAt,
+		share: {
+			id: share.id,
+			amount: share.amount,
+			paidAmount: share.paidAmount,
+			paid: share.paid,
+			paidAt: share.paidAt,
+		},
+		expense: {
+			id: expense.id,
+			description: expense.description,
+			createdAt: expense.createdAt,
+		},
+		group: expense.group,
+		payer: share.user,
+		payee,
+		counterparty: direction === "sent" ? payee : share.user,
+	};
+};
+
+/**
+ * List payments a user has made or received towards expense shares
+ * @param {string} userId - User ID
+ * @param {Object} [filters]
+ * @param {string} [filters.groupId] - Only payments in this group
+ * @param {string} [filters.counterpartyId] - Only payments to or from this user
+ * @param {string} [filters.direction] - "sent" or "received"
+ * @param {Date} [filters.from] - Only payments made on or after this date
+ * @param {Date} [filters.to] - Only payments made on or before this date
+ * @param {number} [filters.page] - Page number, starting at 1
+ * @param {number} [filters.limit] - Payments per page
+ * @returns {Promise<Object>} - History entries in minor units and the total count
+ */
+export const getPaymentHistory = async (
+	userId,
+	{ groupId, counterpartyId, direction, from, to, page = 1, limit = 20 } = {}
+) => {
+	try {
+		const sent = {
+			expenseShare: {
+				userId,
+				...(groupId && { expense: { groupId } }),
+			},
+			...(counterpartyId && paidTo(counterpartyId)),
+		};
+		const received = {
+			expenseShare: {
+				...(counterpartyId && { userId: counterpartyId }),
+				...(groupId && { expense: { groupId } }),
+			},
+			...paidTo(userId),
+		};
+
+		const where = {
+			...(direction === "sent" && sent),
+			...(direction === "received" && received),
+			...(!direction && { OR: [sent, received] }),
+			...((from || to) && {
+				createdAt: {
+					...(from && { gte: from }),
+					...(to && { lte: to }),
+				},
+			}),
+		};
+
+		const [payments, total] = await Promise.all([
+			prisma.sharePayment.findMany({
+				where,
+				include: historyInclude,
+				orderBy: { createdAt: "desc" },
+				skip: (page - 1) * limit,
+				take: limit,
+			}),
+			prisma.sharePayment.count({ where }),
+		]);
+
+		return {
+			payments: payments.map((payment) => toHistoryEntry(payment, userId)),
+			total,
+		};
+	} catch (error) {
+		console.error("Get payment history error:", error);
+		throw error;
+	}
+};
+
+/**
+ * Get a single payment for a receipt, as seen by the payer or the payee
+ * @param {string} userId - User requesting the receipt
+ * @param {string} paymentId - Share payment ID
+ * @returns {Promise<Object|null>} - History entry, or null if the user was not a party to it
+ */
+export const getPaymentReceipt = async (userId, paymentId) => {
+	const payment = await prisma.sharePayment.findUnique({
+		where: { id: paymentId },
+		include: historyInclude,
+	});
+
+	if (
+		!payment ||
+		(payment.expenseShare.userId !== userId &&
+			getPaymentPayee(payment).id !== userId)
+	) {
+		return null;
+	}
+
+	return toHistoryEntry(payment, userId);
+};
+
+/**
+ * Send payment reminders for unpaid expense shares, following the group's
+ * reminder settings
  * @param {string} groupId - Group ID
  * @returns {Promise<Array>} - Sent reminders
  */
 export const sendPaymentReminders = async (groupId) => {
 	try {
-		// Get all unpaid shares for the group's expenses
-		// that are older than 3 days
-		const threeDaysAgo = new Date();
-		threeDaysAgo.setDate(threeDaysAgo.getDate() - 3);
+		const group = await prisma.group.findUnique({
+			where: { id: groupId },
+			select: { settings: true },
+		});
+		const { reminders } = getGroupSettings(group);
+
+		if (!reminders.payments) {
+			return [];
+		}
+
+		// Get all unpaid shares for the group's expenses that are older
+		// than the reminder interval
+		const intervalStart = new Date();
+		intervalStart.setDate(
+			intervalStart.getDate() - reminders.paymentIntervalDays
+		);
 
 		const unpaidShares = await prisma.expenseShare.findMany({
 			where: {
@@ -199,7 +1149,7 @@ export const sendPaymentReminders = async (groupId) => {
 				expense: {
 					groupId,
 					createdAt: {
-						lt: threeDaysAgo,
+						lt: intervalStart,
 					},
 				},
 			},
@@ -220,12 +1170,12 @@ export const sendPaymentReminders = async (groupId) => {
 
 		// For each unpaid share, create a reminder record
 		for (const share of unpaidShares) {
-			// Check if we already sent a reminder in the last 3 days
+			// Check if we already sent a reminder within the interval
 			const recentReminder = await prisma.paymentReminder.findFirst({
 				where: {
 					expenseShareId: share.id,
 					createdAt: {
-						gt: threeDaysAgo,
+						gt: intervalStart,
 					},
 				},
 			});
@@ -254,12 +1204,23 @@ export const sendPaymentReminders = async (groupId) => {
 					},
 				});
 
-				sentReminders.push(reminder);
+				// Remind about what is left after any partial payments
+				const outstanding = getOutstandingAmount(share);
+
+				sentReminders.push({
+					...reminder,
+					expenseShare: { ...reminder.expenseShare, outstanding },
+				});
 
 				// NOTE: Here you would typically send an actual email notification
 				// This is where you'd integrate with your email service
 				console.log(
-					`Payment reminder sent to ${share.user.email} for expense ${share.expense.description}`
+					`Payment reminder sent to ${share.user.email} for ${fromMinorUnits(
+						outstanding,
+						share.expense.currency
+					)} ${share.expense.currency} outstanding on expense ${
+						share.expense.description
+					}`
 				);
 			}
 		}
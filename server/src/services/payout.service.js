@@ -0,0 +1,155 @@
+// src/services/payout.service.js
+import prisma from "../db.js";
+import { getPaymentProvider } from "./payment-providers/index.js";
+
+const payoutSelect = {
+	id: true,
+	payoutAccountId: true,
+	payoutDetailsSubmitted: true,
+	payoutsEnabled: true,
+};
+
+/**
+ * Format a user's payout onboarding status for API responses
+ * @param {Object} user - User with payout fields
+ * @returns {Object} - Onboarding status
+ */
+export const formatPayoutStatus = (user) => ({
+	connected: Boolean(user.payoutAccountId),
+	detailsSubmitted: user.payoutDetailsSubmitted,
+	payoutsEnabled: user.payoutsEnabled,
+});
+
+/**
+ * Work out the platform fee for a routed charge from PLATFORM_FEE_PERCENT
+ * @param {number} amount - Minor units being charged
+ * @returns {number} - Fee in minor units, 0 if no fee is configured
+ */
+export const getPlatformFee = (amount) => {
+	const percent = parseFloat(process.env.PLATFORM_FEE_PERCENT);
+
+	if (!(percent > 0)) {
+		return 0;
+	}
+
+	return Math.min(Math.round((amount * percent) / 100), amount);
+};
+
+/**
+ * Decide where a payment to a member should go. Members who haven't finished
+ * onboarding are paid through the platform account as before.
+ * @param {string} payeeId - Member receiving the payment
+ * @param {number} amount - Minor units being charged
+ * @returns {Promise<Object>} - Destination account and fee, both empty when not routed
+ */
+export const getPayoutRouting = async (payeeId, amount) => {
+	const payee = await prisma.user.findUnique({
+		where: { id: payeeId },
+		select: payoutSelect,
+	});
+
+	if (!payee?.payoutAccountId || !payee.payoutsEnabled) {
+		return { destinationAccountId: null, applicationFeeAmount: 0 };
+	}
+
+	return {
+		destinationAccountId: payee.payoutAccountId,
+		applicationFeeAmount: getPlatformFee(amount),
+	};
+};
+
+/**
+ * Create a connected account for the user if they don't have one yet and
+ * return a link to the hosted onboarding flow
+ * @param {string} userId - User ID
+ * @param {Object} urls
+ * @param {string} urls.refreshUrl - Where to send the user if the link expires
+ * @param {string} urls.returnUrl - Where to send the user when they finish
+ * @returns {Promise<Object>} - Onboarding link and current status
+ */
+export const startPayoutOnboarding = async (
+	userId,
+	{ refreshUrl, returnUrl }
+) => {
+	const provider = getPaymentProvider();
+	let user = await prisma.user.findUnique({
+		where: { id: userId },
+		select: { ...payoutSelect, email: true },
+	});
+
+	if (!user) {
+		throw new Error("User not found");
+	}
+
+	if (!user.payoutAccountId) {
+		const account = await provider.createConnectedAccount({
+			email: user.email,
+			metadata: { userId },
+		});
+
+		user = await prisma.user.update({
+			where: { id: userId },
+			data: { payoutAccountId: account.id },
+			select: payoutSelect,
+		});
+	}
+
+	const link = await provider.createOnboardingLink(user.payoutAccountId, {
+		refreshUrl,
+		returnUrl,
+	});
+
+	return { ...link, status: formatPayoutStatus(user) };
+};
+
+/**
+ * Store the onboarding state of a connected account on its user
+ * @param {Object} account - Connected account from the provider
+ * @returns {Promise<Object|null>} - Updated user, or null if no user owns the account
+ */
+export const syncPayoutAccount = async (account) => {
+	const user = await prisma.user.findUnique({
+		where: { payoutAccountId: account.id },
+		select: { id: true },
+	});
+
+	if (!user) {
+		return null;
+	}
+
+	return prisma.user.update({
+		where: { id: user.id },
+		data: {
+			payoutDetailsSubmitted: Boolean(account.detailsSubmitted),
+			payoutsEnabled: Boolean(account.payoutsEnabled),
+		},
+		select: payoutSelect,
+	});
+};
+
+/**
+ * Fetch the latest onboarding state from the provider, for when the user
+ * returns from onboarding before the account.updated webhook arrives
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - Onboarding status
+ */
+export const refreshPayoutStatus = async (userId) => {
+	const user = await prisma.user.findUnique({
+		where: { id: userId },
+		select: payoutSelect,
+	});
+
+	if (!user) {
+		throw new Error("User not found");
+	}
+
+	if (!user.payoutAccountId) {
+		return formatPayoutStatus(user);
+	}
+
+	const account = await getPaymentProvider().retrieveConnectedAccount(
+		user.payoutAccountId
+	);
+
+	return formatPayoutStatus(await syncPayoutAccount(account));
+};
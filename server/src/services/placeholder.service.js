@@ -0,0 +1,307 @@
+// src/services/placeholder.service.js
+import prisma from "../db.js";
+
+/**
+ * Add a member without an account to a group. Placeholders can be added to
+ * splits, pay and be paid like anyone else until a real user claims them.
+ * @param {string} groupId - Group ID
+ * @param {Object} details
+ * @param {string} details.firstName - Name shown in the group
+ * @param {string} [details.lastName] - Last name
+ * @param {string} [details.email] - Email the placeholder is claimed with
+ * @returns {Promise<Object>} - Group membership including the placeholder user
+ */
+export const createPlaceholderMember = async (
+	groupId,
+	{ firstName, lastName, email }
+) => {
+	return prisma.groupMember.create({
+		data: {
+			role: "member",
+			group: { connect: { id: groupId } },
+			user: {
+				create: {
+					firstName,
+					lastName,
+					isPlaceholder: true,
+					placeholderEmail: email ? email.toLowerCase() : null,
+				},
+			},
+		},
+		include: { user: true },
+	});
+};
+
+/**
+ * Find placeholders waiting to be claimed with an email address
+ * @param {Object} tx - Prisma client or transaction client
+ * @param {string} email - Email of the user claiming them
+ * @param {string} [groupId] - Only placeholders in this group
+ * @returns {Promise<Array<string>>} - Placeholder user IDs
+ */
+export const findClaimablePlaceholders = async (tx, email, groupId) => {
+	if (!email) {
+		return [];
+	}
+
+	const placeholders = await tx.user.findMany({
+		where: {
+			isPlaceholder: true,
+			placeholderEmail: { equals: email, mode: "insensitive" },
+			...(groupId && { groupMemberships: { some: { groupId } } }),
+		},
+		select: { id: true },
+	});
+
+	return placeholders.map((placeholder) => placeholder.id);
+};
+
+/**
+ * Swap one user ID for another in split inputs, combining the entries when
+ * the user was already part of the split
+ * @param {Array<Object>} splitDetails - Split inputs with a userId
+ * @param {string} fromId - Placeholder user ID
+ * @param {string} toId - Claiming user ID
+ * @returns {Array<Object>} - Updated split inputs
+ */
+const mergeSplitDetails = (splitDetails, fromId, toId) => {
+	const merged = [];
+
+	for (const detail of splitDetails) {
+		const userId = detail.userId === fromId ? toId : detail.userId;
+		const existing = merged.find((entry) => entry.userId === userId);
+
+		if (!existing) {
+			merged.push({ ...detail, userId });
+			continue;
+		}
+
+		for (const field of ["amount", "percentage", "shares"]) {
+			if (typeof detail[field] === "number") {
+				existing[field] = (existing[field] || 0) + detail[field];
+			}
+		}
+	}
+
+	return merged;
+};
+
+/**
+ * Swap one user ID for another in a list, without duplicates
+ * @param {Array<string>} userIds - User IDs
+ * @param {string} fromId - Placeholder user ID
+ * @param {string} toId - Claiming user ID
+ * @returns {Array<string>} - Updated user IDs
+ */
+const replaceUserId = (userIds, fromId, toId) => [
+	...new Set(userIds.map((userId) => (userId === fromId ? toId : userId))),
+];
+
+/**
+ * Move everything a placeholder owns to a real user and delete the
+ * placeholder. Shares and payer amounts on the same expense are combined.
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} placeholderId - Placeholder user ID
+ * @param {string} userId - User taking over the placeholder
+ * @returns {Promise<Array<string>>} - IDs of the groups the placeholder belonged to
+ */
+export const mergePlaceholderIntoUser = async (tx, placeholderId, userId) => {
+	const placeholder = await tx.user.findUnique({
+		where: { id: placeholderId },
+		include: {
+			groupMemberships: true,
+			expenseShares: true,
+			expensePayments: true,
+		},
+	});
+
+	if (!placeholder || !placeholder.isPlaceholder) {
+		throw new Error("Only placeholder members can be claimed");
+	}
+
+	// Group memberships
+	for (const membership of placeholder.groupMemberships) {
+		const existingMembership = await tx.groupMember.findUnique({
+			where: {
+				userId_groupId: { userId, groupId: membership.groupId },
+			},
+		});
+
+		if (existingMembership) {
+			await tx.groupMember.delete({ where: { id: membership.id } });
+		} else {
+			await tx.groupMember.update({
+				where: { id: membership.id },
+				data: { userId },
+			});
+		}
+	}
+
+	// Expense shares, including payments recorded against them
+	for (const share of placeholder.expenseShares) {
+		const existingShare = await tx.expenseShare.findUnique({
+			where: {
+				userId_expenseId: { userId, expenseId: share.expenseId },
+			},
+		});
+
+		if (!existingShare) {
+			await tx.expenseShare.update({
+				where: { id: share.id },
+				data: { userId },
+			});
+			continue;
+		}
+
+		const amount = existingShare.amount + share.amount;
+		const paidAmount = existingShare.paidAmount + share.paidAmount;
+		const paid = paidAmount >= amount;
+
+		await tx.expenseShare.update({
+			where: { id: existingShare.id },
+			data: {
+				amount,
+				paidAmount,
+				paid,
+				paidAt: paid
+					? existingShare.paidAt || share.paidAt || new Date()
+					: null,
+			},
+		});
+
+		const moveToExistingShare = {
+			where: { expenseShareId: share.id },
+			data: { expenseShareId: existingShare.id },
+		};
+		await tx.sharePayment.updateMany(moveToExistingShare);
+		await tx.paymentReminder.updateMany(moveToExistingShare);
+		await tx.paymentBundleItem.updateMany(moveToExistingShare);
+		await tx.paymentAttempt.updateMany(moveToExistingShare);
+		await tx.expenseShare.delete({ where: { id: share.id } });
+	}
+
+	// Amounts paid towards expenses with several payers
+	for (const payer of placeholder.expensePayments) {
+		const existingPayer = await tx.expensePayer.findUnique({
+			where: {
+				userId_expenseId: { userId, expenseId: payer.expenseId },
+			},
+		});
+
+		if (existingPayer) {
+			await tx.expensePayer.update({
+				where: { id: existingPayer.id },
+				data: { amount: existingPayer.amount + payer.amount },
+			});
+			await tx.expensePayer.delete({ where: { id: payer.id } });
+		} else {
+			await tx.expensePayer.update({
+				where: { id: payer.id },
+				data: { userId },
+			});
+		}
+	}
+
+	await tx.expense.updateMany({
+		where: { paidById: placeholderId },
+		data: { paidById: userId },
+	});
+
+	// User IDs stored inside expenses: equal split participants, split
+	// inputs and itemized assignments
+	const groupIds = placeholder.groupMemberships.map(
+		(membership) => membership.groupId
+	);
+	const expenses = await tx.expense.findMany({
+		where: { groupId: { in: groupIds } },
+		include: { items: true },
+	});
+
+	for (const expense of expenses) {
+		const inParticipants = expense.participants.includes(placeholderId);
+		const inSplitDetails =
+			Array.isArray(expense.splitDetails) &&
+			expense.splitDetails.some((detail) => detail.userId === placeholderId);
+
+		if (inParticipants || inSplitDetails) {
+			await tx.expense.update({
+				where: { id: expense.id },
+				data: {
+					...(inParticipants && {
+						participants: replaceUserId(
+							expense.participants,
+							placeholderId,
+							userId
+						),
+					}),
+					...(inSplitDetails && {
+						splitDetails: mergeSplitDetails(
+							expense.splitDetails,
+							placeholderId,
+							userId
+						),
+					}),
+				},
+			});
+		}
+
+		for (const item of expense.items) {
+			if (item.assignedTo.includes(placeholderId)) {
+				await tx.expenseItem.update({
+					where: { id: item.id },
+					data: {
+						assignedTo: replaceUserId(item.assignedTo, placeholderId, userId),
+					},
+				});
+			}
+		}
+	}
+
+	// Everything else that points at the user without cascading, so the
+	// placeholder can be deleted: settlements, bundled card payments, payment
+	// attempts and anything recorded as created by them. Their activity would
+	// lose its actor instead.
+	const reassignments = [
+		[tx.settlement, "fromUserId"],
+		[tx.settlement, "toUserId"],
+		[tx.settlement, "createdById"],
+		[tx.paymentBundle, "payerId"],
+		[tx.paymentBundle, "payeeId"],
+		[tx.paymentAttempt, "payerId"],
+		[tx.expense, "createdById"],
+		[tx.recurringBill, "createdById"],
+		[tx.activity, "actorId"],
+	];
+
+	for (const [model, field] of reassignments) {
+		await model.updateMany({
+			where: { [field]: placeholderId },
+			data: { [field]: userId },
+		});
+	}
+
+	await tx.user.delete({ where: { id: placeholderId } });
+
+	return groupIds;
+};
+
+/**
+ * Merge every placeholder waiting for a user's email into that user. Only
+ * call this once the email is known to belong to them, e.g. verified by the
+ * sign-in provider.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} user - User who may claim placeholders
+ * @returns {Promise<Array<string>>} - IDs of the groups the user joined this way
+ */
+export const claimPlaceholdersByEmail = async (tx, user) => {
+	const placeholderIds = await findClaimablePlaceholders(tx, user.email);
+	const groupIds = [];
+
+	for (const placeholderId of placeholderIds) {
+		groupIds.push(
+			...(await mergePlaceholderIntoUser(tx, placeholderId, user.id))
+		);
+	}
+
+	return [...new Set(groupIds)];
+};
@@ -0,0 +1,93 @@
+// src/services/settlement.service.js
+import prisma from "../db.js";
+import { toBaseCurrency } from "../utils/currency.utils.js";
+import { convertMinorUnits } from "../utils/money.utils.js";
+import { getOutstandingAmount, recordSharePayment } from "./payment.service.js";
+
+/**
+ * Get confirmed settlements for a group, for use in balance calculations
+ * @param {string} groupId - Group ID
+ * @returns {Promise<Array>} - Confirmed settlements
+ */
+export const getConfirmedSettlements = async (groupId) => {
+	return prisma.settlement.findMany({
+		where: { groupId, status: "confirmed" },
+	});
+};
+
+/**
+ * Pay off the oldest unpaid shares the payer owes the receiver with the
+ * settlement amount. The last share may only be partly paid; anything left
+ * over still counts towards balances but doesn't pay a specific share.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} settlement - Confirmed settlement
+ * @returns {Promise<Array<string>>} - IDs of the shares that received a payment
+ */
+export const applySettlementToShares = async (tx, settlement) => {
+	const unpaidShares = await tx.expenseShare.findMany({
+		where: {
+			userId: settlement.fromUserId,
+			paid: false,
+			expense: {
+				groupId: settlement.groupId,
+				// Expenses with several payers list the receiver as one of them
+				OR: [
+					{ paidById: settlement.toUserId },
+					{ payers: { some: { userId: settlement.toUserId } } },
+				],
+			},
+		},
+		include: {
+			expense: true,
+		},
+		orderBy: {
+			expense: {
+				createdAt: "asc",
+			},
+		},
+	});
+
+	const paidShareIds = [];
+	let remaining = settlement.amount;
+
+	for (const share of unpaidShares) {
+		if (remaining <= 0) {
+			break;
+		}
+
+		// Compare in the settlement currency, pay in the expense currency
+		const outstanding = getOutstandingAmount(share);
+		const outstandingInSettlementCurrency = toBaseCurrency(
+			outstanding,
+			share.expense,
+			settlement.currency
+		);
+
+		const paymentAmount =
+			outstandingInSettlementCurrency <= remaining
+				? outstanding
+				: Math.min(
+						convertMinorUnits(
+							remaining,
+							1 / share.expense.exchangeRate,
+							settlement.currency,
+							share.expense.currency
+						),
+						outstanding
+				  );
+
+		if (paymentAmount > 0) {
+			await recordSharePayment(tx, share, {
+				amount: paymentAmount,
+				method: "settlement",
+				settlementId: settlement.id,
+			});
+
+			paidShareIds.push(share.id);
+		}
+
+		remaining -= Math.min(outstandingInSettlementCurrency, remaining);
+	}
+
+	return paidShareIds;
+};
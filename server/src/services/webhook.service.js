@@ -0,0 +1,477 @@
+// src/services/webhook.service.js
+import { Prisma } from "@prisma/client";
+import prisma from "../db.js";
+import {
+	getChargePaymentIntentId,
+	getOutstandingAmount,
+	markAttemptFailed,
+	markBundleAsPaid,
+	markShareAsPaid,
+	reversePaymentIntent,
+} from "./payment.service.js";
+import { getPaymentProvider } from "./payment-providers/index.js";
+import { formatPayoutStatus, syncPayoutAccount } from "./payout.service.js";
+import { recordActivity } from "./activity.service.js";
+import { fromMinorUnits } from "../utils/money.utils.js";
+
+// Events still processing after this long are assumed to have crashed and
+// can be claimed again
+const WEBHOOK_CLAIM_TIMEOUT_MINUTES = 10;
+
+/**
+ * Record a single share payment and notify the group and the payer
+ * @param {Object} io - Socket.io server
+ * @param {string} paymentIntentId - Stripe payment intent ID
+ * @param {string} eventId - Stripe event ID
+ */
+const handleSharePaid = async (io, paymentIntentId, eventId) => {
+	const updatedShare = await markShareAsPaid(paymentIntentId);
+	const { currency } = updatedShare.expense;
+
+	// An overpaid charge is partly refunded straight away
+	const paidNow =
+		updatedShare.payment.amount - updatedShare.payment.refundedAmount;
+
+	// Amounts for this payment and what is left on the share
+	const paymentDetails = {
+		amount: fromMinorUnits(paidNow, currency),
+		paidAmount: fromMinorUnits(updatedShare.paidAmount, currency),
+		outstanding: fromMinorUnits(getOutstandingAmount(updatedShare), currency),
+		paid: updatedShare.paid,
+	};
+
+	// Emit real-time notification
+	io.to(`group:${updatedShare.expense.groupId}`).emit("payment-completed", {
+		expenseId: updatedShare.expenseId,
+		userId: updatedShare.userId,
+		userName: `${updatedShare.user.firstName} ${updatedShare.user.lastName}`,
+		...paymentDetails,
+	});
+
+	// Also notify the user who made the payment
+	io.to(`user:${updatedShare.userId}`).emit("payment-successful", {
+		expenseId: updatedShare.expenseId,
+		...paymentDetails,
+		description: updatedShare.expense.description,
+	});
+
+	await recordActivity({
+		groupId: updatedShare.expense.groupId,
+		actorId: updatedShare.userId,
+		type: "payment-completed",
+		data: {
+			expenseId: updatedShare.expenseId,
+			description: updatedShare.expense.description,
+			userId: updatedShare.userId,
+			amount: paidNow,
+			outstanding: getOutstandingAmount(updatedShare),
+			currency,
+			paid: updatedShare.paid,
+		},
+		eventKey: `${eventId}:${updatedShare.id}`,
+	});
+};
+
+/**
+ * Record a bundled payment and notify each group and the payer
+ * @param {Object} io - Socket.io server
+ * @param {string} paymentIntentId - Stripe payment intent ID
+ * @param {string} eventId - Stripe event ID
+ */
+const handleBundlePaid = async (io, paymentIntentId, eventId) => {
+	const bundle = await markBundleAsPaid(paymentIntentId);
+
+	for (const item of bundle.items) {
+		const share = item.expenseShare;
+
+		io.to(`group:${share.expense.groupId}`).emit("payment-completed", {
+			expenseId: share.expenseId,
+			userId: share.userId,
+			userName: `${bundle.payer.firstName} ${bundle.payer.lastName}`,
+			amount: fromMinorUnits(item.amount, bundle.currency),
+			paidAmount: fromMinorUnits(share.paidAmount, bundle.currency),
+			outstanding: fromMinorUnits(getOutstandingAmount(share), bundle.currency),
+			paid: share.paid,
+		});
+
+		await recordActivity({
+			groupId: share.expense.groupId,
+			actorId: bundle.payerId,
+			type: "payment-completed",
+			data: {
+				expenseId: share.expenseId,
+				description: share.expense.description,
+				userId: share.userId,
+				amount: item.amount,
+				outstanding: getOutstandingAmount(share),
+				currency: bundle.currency,
+				paid: share.paid,
+				bundleId: bundle.id,
+			},
+			eventKey: `${eventId}:${share.id}`,
+		});
+	}
+
+	io.to(`user:${bundle.payerId}`).emit("payment-successful", {
+		bundleId: bundle.id,
+		expenseIds: bundle.items.map((item) => item.expenseShare.expenseId),
+		amount: fromMinorUnits(bundle.amount, bundle.currency),
+		currency: bundle.currency,
+		paid: true,
+	});
+};
+
+/**
+ * Record a failed payment and tell both the payer and the member being paid
+ * @param {Object} io - Socket.io server
+ * @param {Object} paymentIntent - Failed payment intent from the event
+ */
+const handlePaymentFailed = async (io, paymentIntent) => {
+	const error = paymentIntent.last_payment_error || {};
+	const attempt = await markAttemptFailed(paymentIntent.id, {
+		code: error.decline_code || error.code,
+		message: error.message,
+	});
+
+	if (!attempt) {
+		return;
+	}
+
+	const failureDetails = {
+		attemptId: attempt.id,
+		paymentIntentId: attempt.paymentIntentId,
+		payerId: attempt.payerId,
+		amount: fromMinorUnits(attempt.amount, attempt.currency),
+		currency: attempt.currency,
+		failureCode: attempt.failureCode,
+		failureMessage: attempt.failureMessage,
+		...(attempt.bundle
+			? { bundleId: attempt.bundleId }
+			: {
+					shareId: attempt.expenseShareId,
+					expenseId: attempt.expenseShare.expenseId,
+					description: attempt.expenseShare.expense.description,
+			  }),
+	};
+	const payeeId = attempt.bundle
+		? attempt.bundle.payeeId
+		: attempt.expenseShare.expense.paidById;
+
+	io.to(`user:${attempt.payerId}`).emit("payment-failed", failureDetails);
+	io.to(`user:${payeeId}`).emit("payment-failed", failureDetails);
+};
+
+/**
+ * Notify each group that shares became unpaid again after a refund or dispute
+ * @param {Object} io - Socket.io server
+ * @param {Array<Object>} shares - Affected shares with their expense and user
+ * @param {string} event - "payment-refunded" or "payment-disputed"
+ * @param {string} [eventId] - Stripe event that caused it, if any
+ * @returns {Promise<void>}
+ */
+export const notifyPaymentReversed = async (io, shares, event, eventId) => {
+	for (const share of shares) {
+		const { currency } = share.expense;
+
+		io.to(`group:${share.expense.groupId}`).emit(event, {
+			expenseId: share.expenseId,
+			userId: share.userId,
+			userName: `${share.user.firstName} ${share.user.lastName}`,
+			paidAmount: fromMinorUnits(share.paidAmount, currency),
+			outstanding: fromMinorUnits(getOutstandingAmount(share), currency),
+			paid: share.paid,
+		});
+
+		await recordActivity({
+			groupId: share.expense.groupId,
+			type: event,
+			data: {
+				expenseId: share.expenseId,
+				description: share.expense.description,
+				userId: share.userId,
+				paidAmount: share.paidAmount,
+				outstanding: getOutstandingAmount(share),
+				currency,
+				paid: share.paid,
+			},
+			...(eventId && { eventKey: `${eventId}:${share.id}` }),
+		});
+	}
+};
+
+/**
+ * Apply a Stripe event to payments and notify the affected users.
+ * Errors are thrown so the caller can record the event as failed.
+ * @param {Object} event - Stripe event
+ * @param {Object} io - Socket.io server
+ * @returns {Promise<void>}
+ */
+const handleStripeEvent = async (event, io) => {
+	switch (event.type) {
+		case "payment_intent.succeeded": {
+			const paymentIntent = event.data.object;
+			console.log(`Payment succeeded: ${paymentIntent.id}`);
+
+			// Bundled payments cover several shares at once
+			if (paymentIntent.metadata?.bundleId) {
+				await handleBundlePaid(io, paymentIntent.id, event.id);
+			} else {
+				await handleSharePaid(io, paymentIntent.id, event.id);
+			}
+			break;
+		}
+
+		case "charge.refunded": {
+			const refundedCharge = event.data.object;
+			console.log(`Charge refunded: ${refundedCharge.id}`);
+
+			const refundedShares = await reversePaymentIntent(
+				refundedCharge.payment_intent,
+				{ totalRefunded: refundedCharge.amount_refunded, reason: "refund" }
+			);
+			await notifyPaymentReversed(
+				io,
+				refundedShares,
+				"payment-refunded",
+				event.id
+			);
+			break;
+		}
+
+		case "charge.dispute.created": {
+			const dispute = event.data.object;
+			console.log(`Charge disputed: ${dispute.charge}`);
+
+			// Disputed funds are withdrawn straight away
+			const disputedPaymentIntentId =
+				dispute.payment_intent ||
+				(await getChargePaymentIntentId(dispute.charge));
+			const disputedShares = await reversePaymentIntent(
+				disputedPaymentIntentId,
+				{ amount: dispute.amount, reason: "dispute" }
+			);
+			await notifyPaymentReversed(
+				io,
+				disputedShares,
+				"payment-disputed",
+				event.id
+			);
+			break;
+		}
+
+		case "payment_intent.payment_failed": {
+			const failedPayment = event.data.object;
+			console.log(`Payment failed: ${failedPayment.id}`);
+
+			await handlePaymentFailed(io, failedPayment);
+			break;
+		}
+
+		case "account.updated": {
+			const account = getPaymentProvider().toConnectedAccount(
+				event.data.object
+			);
+			console.log(`Connected account updated: ${account.id}`);
+
+			const user = await syncPayoutAccount(account);
+			if (user) {
+				io.to(`user:${user.id}`).emit(
+					"payout-status-updated",
+					formatPayoutStatus(user)
+				);
+			}
+			break;
+		}
+
+		default:
+			console.log(`Unhandled event type: ${event.type}`);
+	}
+};
+
+/**
+ * Store an incoming Stripe event, keyed by its event ID
+ * @param {Object} event - Verified Stripe event
+ * @returns {Promise<{ webhookEvent: Object, duplicate: boolean }>} - Stored event, and whether it was already handled
+ */
+export const recordWebhookEvent = async (event) => {
+	try {
+		const webhookEvent = await prisma.webhookEvent.create({
+			data: {
+				id: event.id,
+				type: event.type,
+				payload: event,
+			},
+		});
+
+		return { webhookEvent, duplicate: false };
+	} catch (error) {
+		// Unique constraint: this event has been delivered before
+		if (
+			error instanceof Prisma.PrismaClientKnownRequestError &&
+			error.code === "P2002"
+		) {
+			const webhookEvent = await prisma.webhookEvent.findUnique({
+				where: { id: event.id },
+			});
+
+			// Events that haven't succeeded yet are claimed before processing
+			return { webhookEvent, duplicate: webhookEvent.status === "succeeded" };
+		}
+
+		throw error;
+	}
+};
+
+/**
+ * Claim a webhook event for processing. Only one delivery, retry or replay
+ * can hold the claim at a time.
+ * @param {string} eventId - Stripe event ID
+ * @returns {Promise<boolean>} - True if the event was claimed
+ */
+const claimWebhookEvent = async (eventId) => {
+	const staleBefore = new Date(
+		Date.now() - WEBHOOK_CLAIM_TIMEOUT_MINUTES * 60 * 1000
+	);
+
+	const { count } = await prisma.webhookEvent.updateMany({
+		where: {
+			id: eventId,
+			OR: [
+				{ status: { in: ["received", "failed"] } },
+				{
+					status: "processing",
+					OR: [{ claimedAt: null }, { claimedAt: { lt: staleBefore } }],
+				},
+			],
+		},
+		data: { status: "processing", claimedAt: new Date() },
+	});
+
+	return count === 1;
+};
+
+/**
+ * Claim a stored webhook event, process it and record whether it succeeded
+ * @param {Object} webhookEvent - Stored webhook event
+ * @param {Object} io - Socket.io server
+ * @returns {Promise<Object|null>} - Updated webhook event, or null if it has already been handled or is being handled
+ */
+export const processWebhookEvent = async (webhookEvent, io) => {
+	if (!(await claimWebhookEvent(webhookEvent.id))) {
+		return null;
+	}
+
+	try {
+		await handleStripeEvent(webhookEvent.payload, io);
+
+		return prisma.webhookEvent.update({
+			where: { id: webhookEvent.id },
+			data: {
+				status: "succeeded",
+				error: null,
+				attempts: { increment: 1 },
+				processedAt: new Date(),
+			},
+		});
+	} catch (error) {
+		console.error(`Webhook event ${webhookEvent.id} failed:`, error);
+
+		return prisma.webhookEvent.update({
+			where: { id: webhookEvent.id },
+			data: {
+				status: "failed",
+				error: error.message,
+				attempts: { increment: 1 },
+			},
+		});
+	}
+};
+
+/**
+ * List stored webhook events, most recent first
+ * @param {Object} [filters]
+ * @param {string} [filters.status] - "received", "processing", "succeeded" or "failed"
+ * @param {number} [filters.limit] - Maximum number of events
+ * @returns {Promise<Array>} - Webhook events
+ */
+export const listWebhookEvents = async ({ status, limit = 50 } = {}) => {
+	return prisma.webhookEvent.findMany({
+		where: {
+			...(status && { status }),
+		},
+		select: {
+			id: true,
+			type: true,
+			status: true,
+			error: true,
+			attempts: true,
+			receivedAt: true,
+			processedAt: true,
+		},
+		orderBy: { receivedAt: "desc" },
+		take: limit,
+	});
+};
+
+/**
+ * Process a failed or stalled webhook event again
+ * @param {string} eventId - Stripe event ID
+ * @param {Object} io - Socket.io server
+ * @returns {Promise<Object>} - Updated webhook event
+ */
+export const replayWebhookEvent = async (eventId, io) => {
+	const webhookEvent = await prisma.webhookEvent.findUnique({
+		where: { id: eventId },
+	});
+
+	if (!webhookEvent) {
+		throw new Error("Webhook event not found");
+	}
+
+	const processedEvent = await processWebhookEvent(webhookEvent, io);
+
+	if (!processedEvent) {
+		throw new Error("Only failed or stalled webhook events can be replayed");
+	}
+
+	return processedEvent;
+};
+
+/**
+ * Settle a payment intent with the fake provider and run the resulting
+ * webhook event through the same pipeline as a real delivery
+ * @param {string} paymentIntentId - Payment intent ID
+ * @param {string} outcome - "succeeded", "failed" or "refunded"
+ * @param {Object} io - Socket.io server
+ * @param {Object} [options]
+ * @param {string} [options.failureCode] - Decline code for failed payments
+ * @returns {Promise<Object>} - Processed webhook event
+ */
+export const simulateWebhookEvent = async (
+	paymentIntentId,
+	outcome,
+	io,
+	options = {}
+) => {
+	const provider = getPaymentProvider();
+
+	if (!provider.simulateWebhookEvent) {
+		throw new Error(
+			`Webhook simulation is not supported by the ${provider.name} payment provider`
+		);
+	}
+
+	const event = provider.simulateWebhookEvent(
+		paymentIntentId,
+		outcome,
+		options
+	);
+	const { webhookEvent } = await recordWebhookEvent(event);
+	const processedEvent = await processWebhookEvent(webhookEvent, io);
+
+	if (!processedEvent) {
+		throw new Error("This webhook event has already been processed");
+	}
+
+	return processedEvent;
+};
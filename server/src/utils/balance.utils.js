@@ -0,0 +1,205 @@
+// src/utils/balance.utils.js
+import { toBaseCurrency } from "./currency.utils.js";
+import { fromMinorUnits } from "./money.utils.js";
+
+// Converting each expense and payment at its own exchange rate can leave a
+// minor unit over or under once everything is paid back
+export const BALANCE_ROUNDING_TOLERANCE = 1;
+
+/**
+ * Check whether a balance is settled, allowing for exchange rate rounding
+ * @param {number} balance - Net balance in minor units
+ * @returns {boolean} - True if nothing is left to pay or receive
+ */
+export const isSettledBalance = (balance) => {
+	return Math.abs(balance) <= BALANCE_ROUNDING_TOLERANCE;
+};
+
+/**
+ * Get how much each payer contributed towards an expense.
+ * Expenses created before multiple payers were supported have no payer
+ * rows, so the whole amount is attributed to paidById.
+ * @param {Object} expense - Expense including its payers
+ * @returns {Array<{ userId: string, amount: number }>} - Payer contributions
+ */
+export const getExpenseContributions = (expense) => {
+	if (Array.isArray(expense.payers) && expense.payers.length > 0) {
+		return expense.payers.map((payer) => ({
+			userId: payer.userId,
+			amount: payer.amount,
+		}));
+	}
+
+	return [{ userId: expense.paidById, amount: expense.amount }];
+};
+
+/**
+ * Get how much a single user contributed towards an expense
+ * @param {Object} expense - Expense including its payers
+ * @param {string} userId - User ID
+ * @returns {number} - Amount paid by the user
+ */
+export const getUserContribution = (expense, userId) => {
+	return getExpenseContributions(expense)
+		.filter((contribution) => contribution.userId === userId)
+		.reduce((sum, contribution) => sum + contribution.amount, 0);
+};
+
+/**
+ * Calculate paid, owed and net balance for every group member, converted
+ * into the group base currency with each expense's captured exchange rate.
+ * Confirmed settlements and card payments move money directly between two
+ * members.
+ * @param {Array<Object>} groupMembers - Group members including their user
+ * @param {Array<Object>} expenses - Group expenses including shares and payers
+ * @param {string} currency - Group base currency code
+ * @param {Array<Object>} [settlements] - Transfers with fromUserId, toUserId and amount in the group base currency
+ * @returns {Array<Object>} - Member balances in minor units, sorted by balance descending
+ */
+export const calculateBalances = (
+	groupMembers,
+	expenses,
+	currency,
+	settlements = []
+) => {
+	const balances = {};
+
+	// Initialize balances for all members
+	groupMembers.forEach((member) => {
+		balances[member.user.id] = {
+			user: member.user,
+			paid: 0,
+			owed: 0,
+			sent: 0,
+			received: 0,
+			balance: 0,
+		};
+	});
+
+	// Process each expense
+	expenses.forEach((expense) => {
+		// Add to each payer's paid amount
+		getExpenseContributions(expense).forEach((contribution) => {
+			if (balances[contribution.userId]) {
+				balances[contribution.userId].paid += toBaseCurrency(
+					contribution.amount,
+					expense,
+					currency
+				);
+			}
+		});
+
+		// Add to each member's owed amount based on shares
+		expense.shares.forEach((share) => {
+			if (balances[share.userId]) {
+				balances[share.userId].owed += toBaseCurrency(
+					share.amount,
+					expense,
+					currency
+				);
+			}
+		});
+	});
+
+	// Paying someone back reduces what you owe them
+	settlements.forEach((settlement) => {
+		if (balances[settlement.fromUserId]) {
+			balances[settlement.fromUserId].sent += settlement.amount;
+		}
+		if (balances[settlement.toUserId]) {
+			balances[settlement.toUserId].received += settlement.amount;
+		}
+	});
+
+	// Calculate net balance for each member
+	return Object.values(balances)
+		.map((balance) => ({
+			...balance,
+			balance: balance.paid - balance.owed + balance.sent - balance.received,
+		}))
+		.sort((a, b) => b.balance - a.balance);
+};
+
+/**
+ * Convert a member balance from minor units into decimal amounts for responses
+ * @param {Object} balance - Member balance from calculateBalances
+ * @param {string} currency - Currency the balance is expressed in
+ * @returns {Object} - Member balance with decimal amounts
+ */
+export const formatBalance = (balance, currency) => ({
+	...balance,
+	paid: fromMinorUnits(balance.paid, currency),
+	owed: fromMinorUnits(balance.owed, currency),
+	sent: fromMinorUnits(balance.sent, currency),
+	received: fromMinorUnits(balance.received, currency),
+	balance: fromMinorUnits(balance.balance, currency),
+});
+
+/**
+ * Build a settle-up plan with as few transfers as possible. Members whose
+ * debt exactly matches another member's credit are paired first, then the
+ * largest debtor repeatedly pays the largest creditor.
+ * @param {Array<Object>} balances - Member balances in minor units from calculateBalances
+ * @returns {Array<{ from: Object, to: Object, amount: number }>} - Transfers in minor units
+ */
+export const simplifyDebts = (balances) => {
+	const transfers = [];
+	const debtors = balances
+		.filter((member) => member.balance < 0)
+		.map((member) => ({ user: member.user, balance: member.balance }))
+		.sort((a, b) => a.balance - b.balance); // Most negative first
+
+	const creditors = balances
+		.filter((member) => member.balance > 0)
+		.map((member) => ({ user: member.user, balance: member.balance }))
+		.sort((a, b) => b.balance - a.balance); // Most positive first
+
+	// Exact matches settle two members with a single transfer
+	debtors.forEach((debtor) => {
+		const creditor = creditors.find(
+			(candidate) => candidate.balance === -debtor.balance
+		);
+
+		if (creditor) {
+			transfers.push({
+				from: debtor.user,
+				to: creditor.user,
+				amount: creditor.balance,
+			});
+			debtor.balance = 0;
+			creditor.balance = 0;
+		}
+	});
+
+	const remainingDebtors = debtors.filter((member) => member.balance !== 0);
+	const remainingCreditors = creditors.filter((member) => member.balance !== 0);
+
+	// Continue while there are members with negative balances
+	while (remainingDebtors.length > 0 && remainingCreditors.length > 0) {
+		// Partial transfers change the order, so pick the largest again
+		remainingDebtors.sort((a, b) => a.balance - b.balance);
+		remainingCreditors.sort((a, b) => b.balance - a.balance);
+
+		const debtor = remainingDebtors[0];
+		const creditor = remainingCreditors[0];
+
+		// Calculate the transaction amount
+		const amount = Math.min(Math.abs(debtor.balance), creditor.balance);
+
+		transfers.push({
+			from: debtor.user,
+			to: creditor.user,
+			amount,
+		});
+
+		// Update balances
+		debtor.balance += amount;
+		creditor.balance -= amount;
+
+		// Remove settled members
+		if (debtor.balance === 0) remainingDebtors.shift();
+		if (creditor.balance === 0) remainingCreditors.shift();
+	}
+
+	return transfers;
+};
@@ -1,5 +1,7 @@
 // src/utils/bill-predictor.utils.js
 import axios from "axios";
+import prisma from "../db.js";
+import { fromMinorUnits } from "./money.utils.js";
 
 /**
  * Detect recurring expenses in a group's expense history
@@ -15,6 +17,7 @@ export const detectRecurringExpenses = async (groupId) => {
 			select: {
 				id: true,
 				amount: true,
+				currency: true,
 				description: true,
 				category: true,
 				createdAt: true,
@@ -24,13 +27,15 @@ export const detectRecurringExpenses = async (groupId) => {
 		// Group expenses by similar descriptions and amounts
 		const groupedExpenses = {};
 		expenses.forEach((expense) => {
-			// Create a key based on similar amounts (within 5%) and similar descriptions
-			const amountKey = Math.round(expense.amount);
+			// Create a key based on currency, similar amounts (within 5%) and similar descriptions
+			const amountKey = Math.round(
+				fromMinorUnits(expense.amount, expense.currency)
+			);
 			const descriptionWords = expense.description.toLowerCase().split(" ");
 			const keyWords = descriptionWords
 				.filter((word) => word.length > 3)
 				.slice(0, 3);
-			const groupKey = `${amountKey}-${keyWords.join("-")}`;
+			const groupKey = `${expense.currency}-${amountKey}-${keyWords.join("-")}`;
 
 			if (!groupedExpenses[groupKey]) {
 				groupedExpenses[groupKey] = [];
@@ -111,6 +116,7 @@ export const detectRecurringExpenses = async (groupId) => {
 				recurringPatterns.push({
 					description: latestExpense.description,
 					amount: latestExpense.amount,
+					currency: latestExpense.currency,
 					category: latestExpense.category || "Uncategorized",
 					frequency,
 					nextDueDate,
@@ -0,0 +1,43 @@
+// src/utils/currency.utils.js
+import { convertMinorUnits, fromMinorUnits } from "./money.utils.js";
+
+export const DEFAULT_CURRENCY = "USD";
+
+/**
+ * Normalize a currency code to upper case ISO 4217 form
+ * @param {string} currency - Currency code, e.g. "eur"
+ * @returns {string} - Normalized currency code, e.g. "EUR"
+ */
+export const normalizeCurrency = (currency) => {
+	return (currency || DEFAULT_CURRENCY).trim().toUpperCase();
+};
+
+/**
+ * Convert an amount recorded on an expense into the group base currency,
+ * using the exchange rate captured when the expense was created
+ * @param {number} amount - Minor units in the expense currency
+ * @param {Object} expense - Expense with its currency and exchangeRate
+ * @param {string} baseCurrency - Group base currency code
+ * @returns {number} - Minor units in the group base currency
+ */
+export const toBaseCurrency = (amount, expense, baseCurrency) => {
+	return convertMinorUnits(
+		amount,
+		expense.exchangeRate,
+		expense.currency,
+		baseCurrency
+	);
+};
+
+/**
+ * Format an amount for display, e.g. "$12.50" or "€8.00"
+ * @param {number} amount - Minor units to format
+ * @param {string} [currency] - Currency code
+ * @returns {string} - Formatted amount
+ */
+export const formatCurrency = (amount, currency = DEFAULT_CURRENCY) => {
+	return new Intl.NumberFormat("en-US", {
+		style: "currency",
+		currency,
+	}).format(fromMinorUnits(amount, currency));
+};
@@ -0,0 +1,156 @@
+// src/utils/group-settings.utils.js
+
+// Split types that can be used as a group default. Exact amounts and
+// itemized splits depend on the expense, so they can't be.
+export const DEFAULT_SPLIT_TYPES = ["equal", "percentage", "shares"];
+
+// Settings for a group that hasn't changed anything. Groups store only
+// their overrides in Group.settings.
+export const DEFAULT_GROUP_SETTINGS = {
+	defaultCurrency: null, // null: the group's base currency
+	defaultCategory: null, // null: categorize each expense
+	defaultSplitType: "equal",
+	defaultParticipants: null, // null: everyone in the group
+	defaultSplitDetails: null, // Percentages or shares for those split types
+	timezone: "UTC",
+	aiCategorization: true,
+	reminders: {
+		bills: true,
+		billDaysBefore: 3,
+		payments: true,
+		paymentIntervalDays: 3,
+	},
+};
+
+/**
+ * Combine stored setting overrides with changes, one level deep for reminders
+ * @param {Object} [settings] - Current overrides
+ * @param {Object} [changes] - New overrides
+ * @returns {Object} - Combined overrides
+ */
+export const mergeGroupSettings = (settings, changes) => ({
+	...settings,
+	...changes,
+	reminders: {
+		...settings?.reminders,
+		...changes?.reminders,
+	},
+});
+
+/**
+ * Get a group's settings with defaults filled in
+ * @param {Object} group - Group with its settings overrides
+ * @returns {Object} - Complete group settings
+ */
+export const getGroupSettings = (group) =>
+	mergeGroupSettings(DEFAULT_GROUP_SETTINGS, group?.settings || {});
+
+/**
+ * Check whether a timezone name is known, e.g. "Europe/Berlin"
+ * @param {string} timezone - IANA timezone name
+ * @returns {boolean} - True if the timezone can be used
+ */
+export const isValidTimezone = (timezone) => {
+	try {
+		new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+		return true;
+	} catch (error) {
+		return false;
+	}
+};
+
+/**
+ * Get the last moment of the day a date falls on in a timezone
+ * @param {Date} date - Any moment during the day
+ * @param {string} timezone - IANA timezone name
+ * @returns {Date} - End of that local day
+ */
+export const getEndOfDayInTimezone = (date, timezone) => {
+	const parts = Object.fromEntries(
+		new Intl.DateTimeFormat("en-US", {
+			timeZone: timezone,
+			hourCycle: "h23",
+			year: "numeric",
+			month: "numeric",
+			day: "numeric",
+			hour: "numeric",
+			minute: "numeric",
+			second: "numeric",
+		})
+			.formatToParts(date)
+			.map((part) => [part.type, Number(part.value)])
+	);
+
+	// How far the timezone's wall clock is ahead of UTC
+	const wallClock = Date.UTC(
+		parts.year,
+		parts.month - 1,
+		parts.day,
+		parts.hour,
+		parts.minute,
+		parts.second
+	);
+	const offset = wallClock - Math.floor(date.getTime() / 1000) * 1000;
+
+	const endOfDay = Date.UTC(
+		parts.year,
+		parts.month - 1,
+		parts.day,
+		23,
+		59,
+		59,
+		999
+	);
+	return new Date(endOfDay - offset);
+};
+
+/**
+ * Check that the default split in a group's settings can be used with its
+ * current members
+ * @param {Object} settings - Complete group settings
+ * @param {Array<string>} memberIds - Group member user IDs
+ * @returns {string|null} - Error message, or null if the settings are usable
+ */
+export const getDefaultSplitError = (settings, memberIds) => {
+	const { defaultSplitType, defaultParticipants, defaultSplitDetails } =
+		settings;
+
+	if (
+		defaultParticipants &&
+		defaultParticipants.some((userId) => !memberIds.includes(userId))
+	) {
+		return "Default participants must be members of the group";
+	}
+
+	if (defaultSplitType === "equal") {
+		return null;
+	}
+
+	const field = defaultSplitType === "percentage" ? "percentage" : "shares";
+
+	if (
+		!defaultSplitDetails ||
+		defaultSplitDetails.some((detail) => typeof detail[field] !== "number")
+	) {
+		return `A ${defaultSplitType} default split needs defaultSplitDetails with ${field} for each member`;
+	}
+
+	if (
+		defaultSplitDetails.some((detail) => !memberIds.includes(detail.userId))
+	) {
+		return "Default split members must be members of the group";
+	}
+
+	if (defaultSplitType === "percentage") {
+		const total = defaultSplitDetails.reduce(
+			(sum, detail) => sum + detail.percentage,
+			0
+		);
+
+		if (Math.abs(total - 100) > 0.01) {
+			return "Default split percentages must add up to 100";
+		}
+	}
+
+	return null;
+};
@@ -0,0 +1,14 @@
+// src/utils/html.utils.js
+
+/**
+ * Escape a value for use in HTML text or attributes
+ * @param {*} value - Value to escape
+ * @returns {string} - Escaped string
+ */
+export const escapeHtml = (value) =>
+	String(value ?? "")
+		.replace(/&/g, "&amp;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;")
+		.replace(/"/g, "&quot;")
+		.replace(/'/g, "&#39;");
@@ -1,10 +1,23 @@
 // src/utils/insights.utils.js
 import prisma from "../db.js";
+import { getUserContribution } from "./balance.utils.js";
+import {
+	DEFAULT_CURRENCY,
+	formatCurrency,
+	toBaseCurrency,
+} from "./currency.utils.js";
+import { convertMinorUnits, toMinorUnits } from "./money.utils.js";
+import { getExchangeRates } from "../services/exchange-rate.service.js";
 
 /**
  * Generate personalized spending insights for a user
+ * Amounts are compared and reported in the given currency; expenses in
+ * groups without an exchange rate into it are left out
  */
-export const generateSpendingInsights = async (userId) => {
+export const generateSpendingInsights = async (
+	userId,
+	currency = DEFAULT_CURRENCY
+) => {
 	try {
 		const insights = [];
 
@@ -27,11 +40,16 @@ export const generateSpendingInsights = async (userId) => {
 		}
 
 		// Get expenses where user is involved
-		const expenses = await prisma.expense.findMany({
+		const involvedExpenses = await prisma.expense.findMany({
 			where: {
 				groupId: { in: groupIds },
 				OR: [
 					{ paidById: userId },
+					{
+						payers: {
+							some: { userId },
+						},
+					},
 					{
 						shares: {
 							some: { userId },
@@ -43,15 +61,16 @@ export const generateSpendingInsights = async (userId) => {
 				shares: {
 					where: { userId },
 				},
+				payers: true,
 				group: {
-					select: { name: true },
+					select: { name: true, currency: true },
 				},
 			},
 			orderBy: { createdAt: "desc" },
 		});
 
 		// Skip insights if no expenses
-		if (expenses.length === 0) {
+		if (involvedExpenses.length === 0) {
 			return [
 				{
 					type: "info",
@@ -60,12 +79,44 @@ export const generateSpendingInsights = async (userId) => {
 			];
 		}
 
+		// Convert amounts from each group base currency into one currency
+		const rates = await getExchangeRates(
+			involvedExpenses.map((expense) => expense.group.currency),
+			currency
+		);
+		const expenses = involvedExpenses.filter(
+			(expense) => rates[expense.group.currency]
+		);
+		const unconvertedCurrencies = [
+			...new Set(
+				involvedExpenses
+					.map((expense) => expense.group.currency)
+					.filter((groupCurrency) => !rates[groupCurrency])
+			),
+		];
+
+		if (unconvertedCurrencies.length > 0) {
+			insights.push({
+				type: "info",
+				message: `Expenses in ${unconvertedCurrencies.join(
+					", "
+				)} are left out because there is no exchange rate to ${currency}`,
+			});
+		}
+		const convert = (amount, expense) =>
+			convertMinorUnits(
+				toBaseCurrency(amount, expense, expense.group.currency),
+				rates[expense.group.currency],
+				expense.group.currency,
+				currency
+			);
+
 		// Get top spending category
 		const categorySpending = {};
 		let totalSpent = 0;
 
 		expenses.forEach((expense) => {
-			const userShare = expense.shares[0]?.amount || 0;
+			const userShare = convert(expense.shares[0]?.amount || 0, expense);
 			totalSpent += userShare;
 
 			const category = expense.category || "Uncategorized";
@@ -97,28 +148,34 @@ export const generateSpendingInsights = async (userId) => {
 		}
 
 		// See if user paid more than their fair share
-		const totalPaid = expenses
-			.filter((e) => e.paidById === userId)
-			.reduce((sum, e) => sum + e.amount, 0);
+		const totalPaid = expenses.reduce(
+			(sum, e) => sum + convert(getUserContribution(e, userId), e),
+			0
+		);
 
-		if (totalPaid - totalSpent > 10) {
+		// Only mention balances above 10 units of the currency
+		const threshold = toMinorUnits(10, currency);
+
+		if (totalPaid - totalSpent > threshold) {
 			insights.push({
 				type: "balance",
 				message: `You've paid ${formatCurrency(
-					totalPaid - totalSpent
+					totalPaid - totalSpent,
+					currency
 				)} more than your share. Time to collect! 💰`,
 			});
-		} else if (totalSpent - totalPaid > 10) {
+		} else if (totalSpent - totalPaid > threshold) {
 			insights.push({
 				type: "balance",
 				message: `You owe ${formatCurrency(
-					totalSpent - totalPaid
+					totalSpent - totalPaid,
+					currency
 				)} to your groups. Consider settling up soon! 💸`,
 			});
 		}
 
 		// Check recent activity
-		const recentExpenses = expenses.filter((e) => {
+		const recentExpenses = involvedExpenses.filter((e) => {
 			const expenseDate = new Date(e.createdAt);
 			const weekAgo = new Date();
 			weekAgo.setDate(weekAgo.getDate() - 7);
@@ -138,7 +195,7 @@ export const generateSpendingInsights = async (userId) => {
 			groupActivity[id] = 0;
 		});
 
-		expenses.forEach((expense) => {
+		involvedExpenses.forEach((expense) => {
 			const expenseDate = new Date(expense.createdAt);
 			const monthAgo = new Date();
 			monthAgo.setDate(monthAgo.getDate() - 30);
@@ -213,10 +270,3 @@ const getCategoryEmoji = (category) => {
 
 	return emojiMap[category] || "💵";
 };
-
-/**
- * Format currency for display
- */
-const formatCurrency = (amount) => {
-	return `$${amount.toFixed(2)}`;
-};
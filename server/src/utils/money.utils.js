@@ -0,0 +1,122 @@
+// src/utils/money.utils.js
+
+// All money is stored and calculated as integer minor units (e.g. cents).
+// Decimal amounts only exist at the API boundary.
+
+// ISO 4217 currencies without a minor unit
+const ZERO_DECIMAL_CURRENCIES = [
+	"BIF",
+	"CLP",
+	"DJF",
+	"GNF",
+	"ISK",
+	"JPY",
+	"KMF",
+	"KRW",
+	"PYG",
+	"RWF",
+	"UGX",
+	"VND",
+	"VUV",
+	"XAF",
+	"XOF",
+	"XPF",
+];
+
+// ISO 4217 currencies with three decimal places
+const THREE_DECIMAL_CURRENCIES = [
+	"BHD",
+	"IQD",
+	"JOD",
+	"KWD",
+	"LYD",
+	"OMR",
+	"TND",
+];
+
+/**
+ * Get the number of decimal places used by a currency
+ * @param {string} currency - Currency code
+ * @returns {number} - Number of decimal places
+ */
+export const getMinorUnitExponent = (currency) => {
+	const code = (currency || "").toUpperCase();
+
+	if (ZERO_DECIMAL_CURRENCIES.includes(code)) return 0;
+	if (THREE_DECIMAL_CURRENCIES.includes(code)) return 3;
+	return 2;
+};
+
+/**
+ * Convert a decimal amount into integer minor units, e.g. 12.34 USD -> 1234
+ * @param {number} amount - Decimal amount
+ * @param {string} currency - Currency code
+ * @returns {number} - Integer minor units
+ */
+export const toMinorUnits = (amount, currency) => {
+	const factor = 10 ** getMinorUnitExponent(currency);
+
+	// toFixed removes float noise such as 1.005 * 100 = 100.49999999999999
+	return Math.round(parseFloat((amount * factor).toFixed(6)));
+};
+
+/**
+ * Convert integer minor units into a decimal amount, e.g. 1234 USD -> 12.34
+ * @param {number} minorUnits - Integer minor units
+ * @param {string} currency - Currency code
+ * @returns {number} - Decimal amount
+ */
+export const fromMinorUnits = (minorUnits, currency) => {
+	return minorUnits / 10 ** getMinorUnitExponent(currency);
+};
+
+/**
+ * Convert minor units between currencies with an exchange rate
+ * @param {number} minorUnits - Integer minor units in the source currency
+ * @param {number} rate - Units of the target currency per unit of the source
+ * @param {string} fromCurrency - Source currency code
+ * @param {string} toCurrency - Target currency code
+ * @returns {number} - Integer minor units in the target currency
+ */
+export const convertMinorUnits = (
+	minorUnits,
+	rate,
+	fromCurrency,
+	toCurrency
+) => {
+	const exponentShift =
+		getMinorUnitExponent(toCurrency) - getMinorUnitExponent(fromCurrency);
+
+	return Math.round(minorUnits * (rate ?? 1) * 10 ** exponentShift);
+};
+
+/**
+ * Distribute an integer amount proportionally to a list of weights.
+ * Leftover units go to the entries with the largest rounding loss (ties
+ * keep their original order), so the result always adds up to the total.
+ * @param {number} total - Integer minor units to distribute
+ * @param {Array<number>} weights - Relative weight for each entry
+ * @returns {Array<number>} - Integer minor units for each entry, in order
+ */
+export const allocate = (total, weights) => {
+	const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+	if (totalWeight <= 0) {
+		return weights.map(() => 0);
+	}
+
+	const exact = weights.map((weight) => (total * weight) / totalWeight);
+	const units = exact.map((value) => Math.floor(value));
+
+	let remainder = total - units.reduce((sum, value) => sum + value, 0);
+
+	const order = exact
+		.map((value, index) => ({ index, loss: value - units[index] }))
+		.sort((a, b) => b.loss - a.loss || a.index - b.index);
+
+	for (let i = 0; remainder > 0; i++, remainder--) {
+		units[order[i % order.length].index] += 1;
+	}
+
+	return units;
+};
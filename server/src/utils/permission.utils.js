@@ -0,0 +1,78 @@
+// src/utils/permission.utils.js
+
+// Group roles from least to most privileged
+export const GROUP_ROLES = ["viewer", "member", "admin", "owner"];
+
+// Per-group toggles: the lowest role allowed to do each thing. Groups can
+// override these in Group.permissions.
+export const DEFAULT_GROUP_PERMISSIONS = {
+	addExpenses: "member",
+	editOthersExpenses: "admin",
+	invite: "admin",
+	manageBills: "member",
+};
+
+// Permissions every group shares
+const FIXED_PERMISSIONS = {
+	viewGroup: "viewer",
+	settleUp: "member",
+	manageGroup: "admin",
+	manageMembers: "admin",
+	managePermissions: "owner",
+	deleteGroup: "owner",
+};
+
+/**
+ * Check whether a role is at least as privileged as another
+ * @param {string} role - Role to check
+ * @param {string} minimumRole - Lowest role allowed
+ * @returns {boolean} - True if the role is high enough
+ */
+export const hasRole = (role, minimumRole) => {
+	return GROUP_ROLES.indexOf(role) >= GROUP_ROLES.indexOf(minimumRole);
+};
+
+/**
+ * Get the lowest role required for each permission in a group
+ * @param {Object} group - Group with its permissions overrides
+ * @returns {Object} - Permission name to minimum role
+ */
+export const getGroupPermissionRoles = (group) => ({
+	...DEFAULT_GROUP_PERMISSIONS,
+	...(group?.permissions || {}),
+	...FIXED_PERMISSIONS,
+});
+
+/**
+ * Work out which permissions a member has in their group
+ * @param {Object} membership - Group membership
+ * @param {Object} group - Group with its permissions overrides
+ * @returns {Object} - Permission name to true or false
+ */
+export const getMemberPermissions = (membership, group) => {
+	const permissionRoles = getGroupPermissionRoles(group);
+
+	return Object.fromEntries(
+		Object.entries(permissionRoles).map(([permission, minimumRole]) => [
+			permission,
+			hasRole(membership.role, minimumRole),
+		])
+	);
+};
+
+/**
+ * Check a single permission for a member
+ * @param {Object} membership - Group membership
+ * @param {Object} group - Group with its permissions overrides
+ * @param {string} permission - Permission name
+ * @returns {boolean} - True if the member has the permission
+ */
+export const hasGroupPermission = (membership, group, permission) => {
+	const minimumRole = getGroupPermissionRoles(group)[permission];
+
+	if (!minimumRole) {
+		throw new Error(`Unknown group permission: ${permission}`);
+	}
+
+	return Boolean(membership) && hasRole(membership.role, minimumRole);
+};
@@ -0,0 +1,74 @@
+// src/utils/receipt.utils.js
+import { formatCurrency } from "./currency.utils.js";
+import { escapeHtml } from "./html.utils.js";
+
+const formatName = (user) =>
+	[user.firstName, user.lastName].filter(Boolean).join(" ") || user.email;
+
+const METHOD_LABELS = {
+	stripe: "Card",
+	settlement: "Recorded settlement",
+};
+
+/**
+ * Render a printable HTML receipt for a share payment
+ * @param {Object} payment - Payment history entry, amounts in minor units
+ * @returns {string} - HTML document
+ */
+export const renderReceiptHtml = (payment) => {
+	const rows = [
+		["Receipt number", payment.id],
+		["Date", new Date(payment.createdAt).toUTCString()],
+		["Paid by", formatName(payment.payer)],
+		["Paid to", formatName(payment.payee)],
+		["Group", payment.group.name],
+		["Expense", payment.expense.description],
+		["Method", METHOD_LABELS[payment.method] || payment.method],
+		["Amount", formatCurrency(payment.amount, payment.currency)],
+		...(payment.refundedAmount > 0
+			? [["Refunded", formatCurrency(payment.refundedAmount, payment.currency)]]
+			: []),
+		["Share total", formatCurrency(payment.share.amount, payment.currency)],
+		[
+			"Share status",
+			payment.share.paid
+				? "Paid in full"
+				: `${formatCurrency(
+						payment.share.amount - payment.share.paidAmount,
+						payment.currency
+				  )} outstanding`,
+		],
+		...(payment.paymentIntentId
+			? [["Payment reference", payment.paymentIntentId]]
+			: []),
+	];
+
+	return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Receipt ${escapeHtml(payment.id)}</title>
+<style>
+body { font-family: Arial, sans-serif; color: #222; max-width: 560px; margin: 40px auto; }
+h1 { font-size: 22px; margin-bottom: 4px; }
+p { color: #666; margin-top: 0; }
+table { width: 100%; border-collapse: collapse; margin-top: 24px; }
+th, td { text-align: left; padding: 8px 0; border-bottom: 1px solid #eee; }
+th { color: #666; font-weight: normal; width: 40%; }
+</style>
+</head>
+<body>
+<h1>Payment receipt</h1>
+<p>${escapeHtml(payment.status.replace(/_/g, " "))}</p>
+<table>
+${rows
+	.map(
+		([label, value]) =>
+			`<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`
+	)
+	.join("\n")}
+</table>
+</body>
+</html>
+`;
+};
@@ -1,8 +1,12 @@
 // src/utils/scheduler.utils.js
 
 import prisma from "../db.js";
-import { sendBillReminders } from "../services/bill-reminder.service.js";
+import {
+	formatBill,
+	sendBillReminders,
+} from "../services/bill-reminder.service.js";
 import { sendPaymentReminders } from "../services/payment.service.js";
+import { fromMinorUnits } from "./money.utils.js";
 
 /**
  * Run scheduled tasks
@@ -14,6 +18,7 @@ export const runScheduledTasks = async (io) => {
 
 		// Get all active groups
 		const groups = await prisma.group.findMany({
+			where: { archivedAt: null },
 			select: { id: true },
 		});
 
@@ -26,7 +31,7 @@ export const runScheduledTasks = async (io) => {
 				// Send real-time notifications
 				billReminders.forEach((reminder) => {
 					io.to(`group:${group.id}`).emit("bill-reminder", {
-						bill: reminder.bill,
+						bill: formatBill(reminder.bill),
 						sentAt: reminder.sentAt,
 					});
 				});
@@ -42,7 +47,7 @@ export const runScheduledTasks = async (io) => {
 					io.to(`user:${share.userId}`).emit("payment-reminder", {
 						expenseId: share.expenseId,
 						description: share.expense.description,
-						amount: share.amount,
+						amount: fromMinorUnits(share.outstanding, share.expense.currency),
 						groupId: share.expense.groupId,
 					});
 				});
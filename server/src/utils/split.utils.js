@@ -0,0 +1,281 @@
+// src/utils/split.utils.js
+import { allocate } from "./money.utils.js";
+
+// All amounts handled here are integer minor units (see money.utils.js)
+
+// Supported ways of splitting an expense between group members
+// "custom" is kept as the original name for exact-amount splits
+export const SPLIT_TYPES = [
+	"equal",
+	"custom",
+	"exact",
+	"percentage",
+	"shares",
+	"itemized",
+];
+
+/**
+ * Make sure every user in the split details belongs to the group
+ * @param {Array<Object>} splitDetails - Split inputs with a userId
+ * @param {Array<string>} memberIds - Group member user IDs
+ * @returns {Object|null} - Error response body, or null if valid
+ */
+const findNonMember = (splitDetails, memberIds) => {
+	for (const detail of splitDetails) {
+		if (!memberIds.includes(detail.userId)) {
+			return {
+				error: `User ${detail.userId} is not a member of this group`,
+			};
+		}
+	}
+
+	return null;
+};
+
+/**
+ * Calculate shares from receipt line items. Each item is split equally
+ * between the members it is assigned to, and tax and tip are distributed
+ * in proportion to each member's item subtotal.
+ * @param {Object} params
+ * @param {number} params.amount - Total expense amount
+ * @param {Array<Object>} params.items - Line items ({ name, price, quantity, assignedTo })
+ * @param {number} [params.tax] - Tax on the receipt
+ * @param {number} [params.tip] - Tip on the receipt
+ * @param {Array<string>} params.memberIds - Group member user IDs
+ * @returns {{ shares?: Array<Object>, error?: Object }} - Shares to persist, or an error response body
+ */
+const calculateItemizedShares = ({ amount, items, tax, tip, memberIds }) => {
+	if (!Array.isArray(items) || items.length === 0) {
+		return {
+			error: { error: "Itemized expenses require at least one line item" },
+		};
+	}
+
+	for (const item of items) {
+		const nonMemberError = findNonMember(
+			item.assignedTo.map((assigneeId) => ({ userId: assigneeId })),
+			memberIds
+		);
+		if (nonMemberError) {
+			return { error: nonMemberError };
+		}
+	}
+
+	const subtotal = items.reduce(
+		(sum, item) => sum + item.price * (item.quantity || 1),
+		0
+	);
+	const extras = (tax || 0) + (tip || 0);
+
+	// Ensure the receipt adds up to the expense amount
+	if (subtotal + extras !== amount) {
+		return {
+			error: {
+				error: "Items, tax and tip must add up to the expense amount",
+				itemsTotal: subtotal + extras,
+				expenseAmount: amount,
+			},
+		};
+	}
+
+	// Split each item between its assignees
+	const subtotals = {};
+	items.forEach((item) => {
+		const itemAmounts = allocate(
+			item.price * (item.quantity || 1),
+			item.assignedTo.map(() => 1)
+		);
+
+		item.assignedTo.forEach((assigneeId, index) => {
+			subtotals[assigneeId] = (subtotals[assigneeId] || 0) + itemAmounts[index];
+		});
+	});
+
+	// Distribute tax and tip proportionally to what each member ordered
+	const userIds = Object.keys(subtotals);
+	const extraAmounts =
+		extras > 0
+			? allocate(
+					extras,
+					userIds.map((assigneeId) => subtotals[assigneeId])
+			  )
+			: userIds.map(() => 0);
+
+	return {
+		shares: userIds.map((assigneeId, index) => ({
+			userId: assigneeId,
+			amount: subtotals[assigneeId] + extraAmounts[index],
+		})),
+	};
+};
+
+/**
+ * Calculate the per-member shares of an expense
+ * @param {Object} params
+ * @param {number} params.amount - Total expense amount
+ * @param {string} params.splitType - One of SPLIT_TYPES
+ * @param {Array<Object>} [params.splitDetails] - Split inputs for non-equal splits
+ * @param {Array<string>} [params.participants] - Members covered by an equal split
+ * @param {Array<Object>} [params.items] - Line items for an itemized split
+ * @param {number} [params.tax] - Tax on an itemized receipt
+ * @param {number} [params.tip] - Tip on an itemized receipt
+ * @param {Array<string>} params.memberIds - Group member user IDs
+ * @returns {{ shares?: Array<Object>, error?: Object }} - Shares to persist, or an error response body
+ */
+export const calculateShares = ({
+	amount,
+	splitType,
+	splitDetails,
+	participants,
+	items,
+	tax,
+	tip,
+	memberIds,
+}) => {
+	if (splitType === "itemized") {
+		return calculateItemizedShares({ amount, items, tax, tip, memberIds });
+	}
+
+	if (splitType === "equal") {
+		// Equal split among the chosen participants, or every member by default
+		const participantIds =
+			Array.isArray(participants) && participants.length > 0
+				? participants
+				: memberIds;
+
+		const nonMemberError = findNonMember(
+			participantIds.map((participantId) => ({ userId: participantId })),
+			memberIds
+		);
+		if (nonMemberError) {
+			return { error: nonMemberError };
+		}
+
+		// Spread leftover cents across participants instead of the first member
+		const amounts = allocate(
+			amount,
+			participantIds.map(() => 1)
+		);
+
+		return {
+			shares: participantIds.map((participantId, index) => ({
+				userId: participantId,
+				amount: amounts[index],
+			})),
+		};
+	}
+
+	if (!SPLIT_TYPES.includes(splitType) || !Array.isArray(splitDetails)) {
+		return {
+			error: {
+				error: `Invalid split type. Must be one of: ${SPLIT_TYPES.join(", ")}.`,
+			},
+		};
+	}
+
+	const nonMemberError = findNonMember(splitDetails, memberIds);
+	if (nonMemberError) {
+		return { error: nonMemberError };
+	}
+
+	if (splitType === "custom" || splitType === "exact") {
+		const totalSplitAmount = splitDetails.reduce(
+			(sum, detail) => sum + detail.amount,
+			0
+		);
+
+		// Ensure total split amount equals expense amount
+		if (totalSplitAmount !== amount) {
+			return {
+				error: {
+					error: "Total split amount must equal expense amount",
+					totalSplitAmount,
+					expenseAmount: amount,
+				},
+			};
+		}
+
+		return {
+			shares: splitDetails.map((detail) => ({
+				userId: detail.userId,
+				amount: detail.amount,
+			})),
+		};
+	}
+
+	if (splitType === "percentage") {
+		const totalPercentage = splitDetails.reduce(
+			(sum, detail) => sum + detail.percentage,
+			0
+		);
+
+		if (Math.abs(totalPercentage - 100) > 0.01) {
+			return {
+				error: {
+					error: "Split percentages must add up to 100",
+					totalPercentage,
+				},
+			};
+		}
+	}
+
+	// Percentage and shares splits are both proportional to a weight
+	const weights = splitDetails.map((detail) =>
+		splitType === "percentage" ? detail.percentage : detail.shares
+	);
+	const amounts = allocate(amount, weights);
+
+	return {
+		shares: splitDetails.map((detail, index) => ({
+			userId: detail.userId,
+			amount: amounts[index],
+		})),
+	};
+};
+
+/**
+ * Resolve who paid for an expense and how much each payer contributed
+ * @param {Object} params
+ * @param {number} params.amount - Total expense amount
+ * @param {Array<Object>} [params.payers] - Payer contributions ({ userId, amount })
+ * @param {string} params.paidById - Single payer, used when no contributions are given
+ * @param {Array<string>} params.memberIds - Group member user IDs
+ * @returns {{ payers?: Array<Object>, paidById?: string, error?: Object }} - Payer rows and primary payer, or an error response body
+ */
+export const calculatePayers = ({ amount, payers, paidById, memberIds }) => {
+	if (!Array.isArray(payers) || payers.length === 0) {
+		return { payers: [{ userId: paidById, amount }], paidById };
+	}
+
+	for (const payer of payers) {
+		if (!memberIds.includes(payer.userId)) {
+			return { error: { error: "Payer must be a member of the group" } };
+		}
+	}
+
+	const totalPaid = payers.reduce((sum, payer) => sum + payer.amount, 0);
+
+	// Ensure payer contributions cover the expense exactly
+	if (totalPaid !== amount) {
+		return {
+			error: {
+				error: "Total paid amount must equal expense amount",
+				totalPaid,
+				expenseAmount: amount,
+			},
+		};
+	}
+
+	// The largest contributor is recorded as the primary payer
+	const primaryPayer = payers.reduce((largest, payer) =>
+		payer.amount > largest.amount ? payer : largest
+	);
+
+	return {
+		payers: payers.map((payer) => ({
+			userId: payer.userId,
+			amount: payer.amount,
+		})),
+		paidById: primaryPayer.userId,
+	};
+};
@@ -0,0 +1,13 @@
+// src/validation/exchange-rate.validation.js
+import Joi from "joi";
+
+// ISO 4217 currency code, e.g. "USD"
+export const currencySchema = Joi.string().pattern(/^[A-Za-z]{3}$/);
+
+export const saveExchangeRatesSchema = Joi.object({
+	base: currencySchema.required(),
+	rates: Joi.object()
+		.pattern(currencySchema, Joi.number().positive())
+		.min(1)
+		.required(),
+});
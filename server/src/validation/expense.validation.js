@@ -1,57 +1,114 @@
 // src/validation/expense.validation.js
 import Joi from "joi";
+import { SPLIT_TYPES } from "../utils/split.utils.js";
+import { currencySchema } from "./exchange-rate.validation.js";
+
+const amountSplitSchema = Joi.array()
+	.items(
+		Joi.object({
+			userId: Joi.string().required(),
+			amount: Joi.number().positive().required(),
+		})
+	)
+	.unique("userId");
+
+export const percentageSplitSchema = Joi.array()
+	.items(
+		Joi.object({
+			userId: Joi.string().required(),
+			percentage: Joi.number().positive().max(100).required(),
+		})
+	)
+	.unique("userId");
+
+export const sharesSplitSchema = Joi.array()
+	.items(
+		Joi.object({
+			userId: Joi.string().required(),
+			shares: Joi.number().positive().required(),
+		})
+	)
+	.unique("userId");
+
+// The shape of splitDetails depends on the split type
+const splitDetailsSchema = Joi.when("splitType", {
+	switch: [
+		{
+			is: Joi.valid("custom", "exact").required(),
+			then: amountSplitSchema.required(),
+		},
+		{ is: "percentage", then: percentageSplitSchema.required() },
+		{ is: "shares", then: sharesSplitSchema.required() },
+	],
+	otherwise: Joi.alternatives()
+		.try(amountSplitSchema, percentageSplitSchema, sharesSplitSchema)
+		.optional(),
+});
+
+// Receipt line items, each assigned to one or more members
+const itemsSchema = Joi.array()
+	.items(
+		Joi.object({
+			name: Joi.string().required(),
+			price: Joi.number().positive().required(),
+			quantity: Joi.number().integer().positive().default(1),
+			assignedTo: Joi.array().items(Joi.string()).min(1).unique().required(),
+		})
+	)
+	.min(1);
+
+const itemizedFields = {
+	items: Joi.when("splitType", {
+		is: Joi.valid("itemized").required(),
+		then: itemsSchema.required(),
+		otherwise: itemsSchema.optional(),
+	}),
+	tax: Joi.number().min(0),
+	tip: Joi.number().min(0),
+};
+
+// Contributions when more than one person paid; takes precedence over paidById
+const payersSchema = Joi.array()
+	.items(
+		Joi.object({
+			userId: Joi.string().required(),
+			amount: Joi.number().positive().required(),
+		})
+	)
+	.min(1)
+	.unique("userId");
+
+// Members covered by an equal split; defaults to the whole group
+const participantsSchema = Joi.when("splitType", {
+	is: Joi.valid("equal").required(),
+	then: Joi.array().items(Joi.string()).min(1).unique(),
+	otherwise: Joi.forbidden(),
+});
 
 export const createExpenseSchema = Joi.object({
 	groupId: Joi.string().required(),
 	amount: Joi.number().positive().required(),
+	currency: currencySchema,
 	description: Joi.string().required(),
 	category: Joi.string().allow("", null),
 	paidById: Joi.string().allow(null),
-	splitType: Joi.string().valid("equal", "custom").required(),
-	splitDetails: Joi.when("splitType", {
-		is: "custom",
-		then: Joi.array()
-			.items(
-				Joi.object({
-					userId: Joi.string().required(),
-					amount: Joi.number().positive().required(),
-				})
-			)
-			.required(),
-		otherwise: Joi.array()
-			.items(
-				Joi.object({
-					userId: Joi.string().required(),
-					amount: Joi.number().positive().required(),
-				})
-			)
-			.optional(),
-	}),
+	payers: payersSchema,
+	// Defaults to the group's default split
+	splitType: Joi.string().valid(...SPLIT_TYPES),
+	splitDetails: splitDetailsSchema,
+	participants: participantsSchema,
+	...itemizedFields,
 });
 
 export const updateExpenseSchema = Joi.object({
 	amount: Joi.number().positive(),
+	currency: currencySchema,
 	description: Joi.string(),
 	category: Joi.string().allow("", null),
 	paidById: Joi.string().allow(null),
-	splitType: Joi.string().valid("equal", "custom"),
-	splitDetails: Joi.when("splitType", {
-		is: "custom",
-		then: Joi.array()
-			.items(
-				Joi.object({
-					userId: Joi.string().required(),
-					amount: Joi.number().positive().required(),
-				})
-			)
-			.required(),
-		otherwise: Joi.array()
-			.items(
-				Joi.object({
-					userId: Joi.string().required(),
-					amount: Joi.number().positive().required(),
-				})
-			)
-			.optional(),
-	}),
+	payers: payersSchema,
+	splitType: Joi.string().valid(...SPLIT_TYPES),
+	splitDetails: splitDetailsSchema,
+	participants: Joi.array().items(Joi.string()).min(1).unique(),
+	...itemizedFields,
 }).min(1); // At least one field must be provided
@@ -0,0 +1,39 @@
+// src/validation/group.validation.js
+import Joi from "joi";
+import { currencySchema } from "./exchange-rate.validation.js";
+import {
+	percentageSplitSchema,
+	sharesSplitSchema,
+} from "./expense.validation.js";
+import {
+	DEFAULT_SPLIT_TYPES,
+	isValidTimezone,
+} from "../utils/group-settings.utils.js";
+
+// IANA timezone name, e.g. "Europe/Berlin"
+const timezoneSchema = Joi.string().custom((value, helpers) =>
+	isValidTimezone(value) ? value : helpers.message("Unknown timezone")
+);
+
+// Any subset of the settings can be changed at once; null resets a default
+export const updateGroupSettingsSchema = Joi.object({
+	defaultCurrency: currencySchema.allow(null),
+	defaultCategory: Joi.string().max(50).allow(null),
+	defaultSplitType: Joi.string().valid(...DEFAULT_SPLIT_TYPES),
+	defaultParticipants: Joi.array()
+		.items(Joi.string())
+		.min(1)
+		.unique()
+		.allow(null),
+	defaultSplitDetails: Joi.alternatives()
+		.try(percentageSplitSchema.min(1), sharesSplitSchema.min(1))
+		.allow(null),
+	timezone: timezoneSchema,
+	aiCategorization: Joi.boolean(),
+	reminders: Joi.object({
+		bills: Joi.boolean(),
+		billDaysBefore: Joi.number().integer().min(0).max(30),
+		payments: Joi.boolean(),
+		paymentIntervalDays: Joi.number().integer().min(1).max(30),
+	}).min(1),
+}).min(1);
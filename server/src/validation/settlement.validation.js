@@ -0,0 +1,14 @@
+// src/validation/settlement.validation.js
+import Joi from "joi";
+
+export const SETTLEMENT_METHODS = ["cash", "bank_transfer", "other"];
+
+export const createSettlementSchema = Joi.object({
+	groupId: Joi.string().required(),
+	// Defaults to the member recording the settlement
+	fromUserId: Joi.string(),
+	toUserId: Joi.string().required(),
+	amount: Joi.number().positive().required(),
+	method: Joi.string().valid(...SETTLEMENT_METHODS),
+	note: Joi.string().max(500).allow(""),
+});